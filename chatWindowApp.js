@@ -6,31 +6,288 @@ import Gtk from 'gi://Gtk?version=4.0';
 import Adw from 'gi://Adw?version=1';
 import Pango from 'gi://Pango';
 import system from 'system';
+import { readIndex, readConversation, searchConversations, importConversations } from './lib/conversationStore.js';
+import { ExportFormats, getExportFileName, writeExport } from './lib/exporter.js';
+import { parseImport } from './lib/importer.js';
+import { getBranch, getLatestLeaf, isVisibleMessage } from './lib/conversationTree.js';
+import { ProviderNames } from './lib/constants.js';
 
 const application = new Adw.Application({
     application_id: 'com.gitlab.karthickk.garefowl.chatwindow',
     flags: Gio.ApplicationFlags.FLAGS_NONE,
 });
 
-let historyFile = null;
+let conversations = [];
+let selectedId = null;
+let windowTitle = null;
+let searchCancellable = null;
+
+function formatDate(isoDate) {
+    const date = new Date(isoDate);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function createConversationRow(conversation) {
+    const box = new Gtk.Box({
+        orientation: Gtk.Orientation.VERTICAL,
+        spacing: 2,
+        margin_top: 6,
+        margin_bottom: 6,
+        margin_start: 6,
+        margin_end: 6,
+    });
+    box.append(new Gtk.Label({
+        label: conversation.title,
+        halign: Gtk.Align.START,
+        ellipsize: Pango.EllipsizeMode.END,
+    }));
+
+    const details = new Gtk.Label({
+        label: [formatDate(conversation.updated), conversation.provider, conversation.model].filter(Boolean).join(' · '),
+        halign: Gtk.Align.START,
+        ellipsize: Pango.EllipsizeMode.END,
+    });
+    details.add_css_class('dim-label');
+    details.add_css_class('caption');
+    box.append(details);
+
+    const row = new Gtk.ListBoxRow({ child: box });
+    row._conversationId = conversation.id;
+    return row;
+}
+
+function showConversation(textView, focusId = null) {
+    const buffer = textView.get_buffer();
+    buffer.delete(buffer.get_start_iter(), buffer.get_end_iter());
+    const conversation = selectedId ? readConversation(selectedId) : null;
+    windowTitle.set_subtitle(conversation ? conversation.title : '');
+    if (!conversation) {
+        return;
+    }
+    
+    // Show the branch a search match is on, otherwise the current one
+    let branch = getBranch(conversation);
+    if (focusId && !branch.some((msg) => msg.id === focusId)) {
+        branch = getBranch(conversation, getLatestLeaf(conversation, focusId));
+    }
+    
+    // Tool results and tool-only assistant turns are not shown
+    const history = branch.filter(isVisibleMessage);
+    
+    let focusMark = null;
+    history.forEach((msg, index) => {
+        const role = msg.role === 'user' ? 'You' : 'Assistant';
+        
+        let iter = buffer.get_end_iter();
+        buffer.insert_markup(iter, `<b><big>${role}:</big></b>\n`, -1);
+        
+        iter = buffer.get_end_iter();
+        const start = iter.get_offset();
+        buffer.insert(iter, msg.content, -1);
+        
+        if (msg.id === focusId) {
+            const tag = buffer.get_tag_table().lookup('match') ||
+                buffer.create_tag('match', { background: 'rgba(246, 211, 45, 0.35)' });
+            buffer.apply_tag(tag, buffer.get_iter_at_offset(start), buffer.get_end_iter());
+            focusMark = buffer.create_mark(null, buffer.get_iter_at_offset(start), true);
+        }
+        
+        // Note which provider and model wrote the reply
+        if (msg.model) {
+            const caption = `${ProviderNames[msg.provider] || msg.provider} · ${msg.model}`;
+            iter = buffer.get_end_iter();
+            buffer.insert_markup(iter, `\n<small><i>${GLib.markup_escape_text(caption, -1)}</i></small>`, -1);
+        }
+        
+        if (index < history.length - 1) {
+            iter = buffer.get_end_iter();
+            buffer.insert(iter, `\n\n${'─'.repeat(60)}\n\n`, -1);
+        }
+    });
+    
+    if (focusMark) {
+        // Scroll once the new text has been laid out
+        GLib.idle_add(GLib.PRIORITY_LOW, () => {
+            textView.scroll_to_mark(focusMark, 0.1, true, 0.0, 0.0);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+}
+
+function showMatchRows(listBox, matches) {
+    listBox.remove_all();
+    if (matches.length === 0) {
+        const empty = new Gtk.Label({
+            label: 'No messages found',
+            margin_top: 12,
+        });
+        empty.add_css_class('dim-label');
+        listBox.append(new Gtk.ListBoxRow({ child: empty, selectable: false, activatable: false }));
+        return;
+    }
+    
+    matches.forEach((match) => {
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 2,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 6,
+            margin_end: 6,
+        });
+        
+        const title = new Gtk.Label({
+            label: match.title,
+            halign: Gtk.Align.START,
+            ellipsize: Pango.EllipsizeMode.END,
+        });
+        title.add_css_class('caption');
+        title.add_css_class('dim-label');
+        box.append(title);
+        
+        box.append(new Gtk.Label({
+            label: match.snippet,
+            halign: Gtk.Align.START,
+            xalign: 0,
+            wrap: true,
+            wrap_mode: Pango.WrapMode.WORD_CHAR,
+            lines: 3,
+            ellipsize: Pango.EllipsizeMode.END,
+        }));
+        
+        const row = new Gtk.ListBoxRow({ child: box });
+        row._conversationId = match.conversationId;
+        row._messageId = match.messageId;
+        listBox.append(row);
+    });
+}
+
+function cancelSearch() {
+    if (searchCancellable) {
+        searchCancellable.cancel();
+        searchCancellable = null;
+    }
+}
+
+function showMatches(listBox, query) {
+    const cancellable = new Gio.Cancellable();
+    searchCancellable = cancellable;
+    
+    const stored = readIndex().sort((a, b) => b.updated.localeCompare(a.updated));
+    searchConversations(stored, query, (matches) => {
+        if (searchCancellable === cancellable) {
+            searchCancellable = null;
+        }
+        showMatchRows(listBox, matches);
+    }, cancellable);
+}
+
+function loadHistory(listBox, textView) {
+    try {
+        conversations = readIndex().sort((a, b) => b.updated.localeCompare(a.updated));
+        if (!conversations.some((conversation) => conversation.id === selectedId)) {
+            selectedId = conversations[0]?.id ?? null;
+        }
+        
+        listBox.remove_all();
+        conversations.forEach((conversation) => {
+            const row = createConversationRow(conversation);
+            listBox.append(row);
+            if (conversation.id === selectedId) {
+                listBox.select_row(row);
+            }
+        });
+        showConversation(textView);
+    } catch (e) {
+        textView.buffer.set_text(`Error loading chat: ${e.message}`, -1);
+    }
+}
+
+function updateSidebar(listBox, textView, query) {
+    cancelSearch();
+    if (query.trim()) {
+        showMatches(listBox, query);
+    } else {
+        loadHistory(listBox, textView);
+    }
+}
+
+function exportConversation(window, toastOverlay, format) {
+    const conversation = selectedId ? readConversation(selectedId) : null;
+    if (!conversation) {
+        toastOverlay.add_toast(new Adw.Toast({ title: 'Select a conversation to export' }));
+        return;
+    }
+    
+    const dialog = new Gtk.FileDialog({
+        title: 'Export Conversation',
+        initial_name: getExportFileName(conversation, format),
+    });
+    dialog.save(window, null, (dialog, result) => {
+        let file;
+        try {
+            file = dialog.save_finish(result);
+        } catch (e) {
+            // Dismissing the dialog is reported as an error
+            return;
+        }
+        
+        try {
+            writeExport(conversation, format, file.get_path());
+            toastOverlay.add_toast(new Adw.Toast({ title: `Exported to ${file.get_basename()}` }));
+        } catch (e) {
+            print(`[ChatWindow] Export failed: ${e.message}`);
+            toastOverlay.add_toast(new Adw.Toast({ title: `Export failed: ${e.message}` }));
+        }
+    });
+}
+
+function importFile(window, toastOverlay, onImported) {
+    const filter = new Gtk.FileFilter({ name: 'JSON files' });
+    filter.add_suffix('json');
+    const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+    filters.append(filter);
+    
+    const dialog = new Gtk.FileDialog({
+        title: 'Import Conversations',
+        filters: filters,
+    });
+    dialog.open(window, null, (dialog, result) => {
+        let file;
+        try {
+            file = dialog.open_finish(result);
+        } catch (e) {
+            // Dismissing the dialog is reported as an error
+            return;
+        }
+        
+        try {
+            const [, contents] = file.load_contents(null);
+            const imported = importConversations(parseImport(new TextDecoder('utf-8').decode(contents)));
+            if (imported.length === 0) {
+                toastOverlay.add_toast(new Adw.Toast({ title: 'No conversations with text found' }));
+                return;
+            }
+            
+            // Show the most recent of the imported conversations
+            selectedId = [...imported].sort((a, b) => b.updated.localeCompare(a.updated))[0].id;
+            onImported();
+            toastOverlay.add_toast(new Adw.Toast({ title: `Imported ${imported.length} conversation${imported.length === 1 ? '' : 's'}` }));
+        } catch (e) {
+            print(`[ChatWindow] Import failed: ${e.message}`);
+            toastOverlay.add_toast(new Adw.Toast({ title: `Import failed: ${e.message}` }));
+        }
+    });
+}
 
 application.connect('activate', () => {
     const window = new Adw.ApplicationWindow({
         application: application,
         title: 'Garefowl Chat History',
-        default_width: 800,
+        default_width: 1000,
         default_height: 600,
     });
 
-    const headerBar = new Adw.HeaderBar();
-    
-    const refreshButton = new Gtk.Button({
-        icon_name: 'view-refresh-symbolic',
-        tooltip_text: 'Refresh',
-    });
-    refreshButton.connect('clicked', () => loadHistory(textView));
-    headerBar.pack_end(refreshButton);
-
     const scrolled = new Gtk.ScrolledWindow({
         vexpand: true,
         hexpand: true,
@@ -48,65 +305,109 @@ application.connect('activate', () => {
 
     scrolled.set_child(textView);
 
+    // Conversation list
+    const listBox = new Gtk.ListBox({
+        selection_mode: Gtk.SelectionMode.SINGLE,
+    });
+    listBox.add_css_class('navigation-sidebar');
+    listBox.connect('row-selected', (list, row) => {
+        if (row) {
+            selectedId = row._conversationId;
+            showConversation(textView, row._messageId ?? null);
+        }
+    });
+
+    const searchEntry = new Gtk.SearchEntry({
+        placeholder_text: 'Search all conversations',
+        search_delay: 250,
+        margin_top: 6,
+        margin_bottom: 6,
+        margin_start: 6,
+        margin_end: 6,
+    });
+    searchEntry.connect('search-changed', () => updateSidebar(listBox, textView, searchEntry.get_text()));
+
+    const sidebarList = new Gtk.ScrolledWindow({
+        vexpand: true,
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        child: listBox,
+    });
+
+    const sidebar = new Gtk.Box({
+        orientation: Gtk.Orientation.VERTICAL,
+    });
+    sidebar.append(searchEntry);
+    sidebar.append(sidebarList);
+
+    const paned = new Gtk.Paned({
+        orientation: Gtk.Orientation.HORIZONTAL,
+        start_child: sidebar,
+        end_child: scrolled,
+        resize_start_child: false,
+        shrink_start_child: false,
+        position: 240,
+    });
+
+    const toastOverlay = new Adw.ToastOverlay({
+        child: paned,
+    });
+
+    windowTitle = new Adw.WindowTitle({ title: 'Garefowl Chat History' });
+    const headerBar = new Adw.HeaderBar({ title_widget: windowTitle });
+    
+    const refreshButton = new Gtk.Button({
+        icon_name: 'view-refresh-symbolic',
+        tooltip_text: 'Refresh',
+    });
+    refreshButton.connect('clicked', () => updateSidebar(listBox, textView, searchEntry.get_text()));
+    headerBar.pack_end(refreshButton);
+
+    const exportMenu = new Gio.Menu();
+    exportMenu.append('Markdown', `win.export::${ExportFormats.MARKDOWN}`);
+    exportMenu.append('HTML', `win.export::${ExportFormats.HTML}`);
+    exportMenu.append('JSON', `win.export::${ExportFormats.JSON}`);
+
+    const exportButton = new Gtk.MenuButton({
+        icon_name: 'document-save-as-symbolic',
+        tooltip_text: 'Export conversation',
+        menu_model: exportMenu,
+    });
+    headerBar.pack_end(exportButton);
+
+    const exportAction = new Gio.SimpleAction({
+        name: 'export',
+        parameter_type: new GLib.VariantType('s'),
+    });
+    exportAction.connect('activate', (action, parameter) => exportConversation(window, toastOverlay, parameter.unpack()));
+    window.add_action(exportAction);
+
+    const importButton = new Gtk.Button({
+        icon_name: 'document-open-symbolic',
+        tooltip_text: 'Import conversations from ChatGPT, Claude or Garefowl',
+    });
+    importButton.connect('clicked', () => importFile(window, toastOverlay, () => {
+        searchEntry.set_text('');
+        loadHistory(listBox, textView);
+    }));
+    headerBar.pack_start(importButton);
+
     const mainBox = new Gtk.Box({
         orientation: Gtk.Orientation.VERTICAL,
     });
     mainBox.append(headerBar);
-    mainBox.append(scrolled);
+    mainBox.append(toastOverlay);
 
     window.set_content(mainBox);
     
-    loadHistory(textView);
+    loadHistory(listBox, textView);
     window.present();
 });
 
-function convertToMarkup(text) {
-    text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-    text = text.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
-    text = text.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
-    return text;
-}
-
-function loadHistory(textView) {
-    if (!historyFile) {
-        textView.buffer.set_text('No history file specified', -1);
-        return;
-    }
-    
-    try {
-        const [success, contents] = GLib.file_get_contents(historyFile);
-        if (success) {
-            const text = new TextDecoder().decode(contents);
-            const history = JSON.parse(text);
-            
-            const buffer = textView.get_buffer();
-            buffer.delete(buffer.get_start_iter(), buffer.get_end_iter());
-            
-            history.forEach((msg, index) => {
-                const role = msg.role === 'user' ? 'You' : 'Assistant';
-                
-                let iter = buffer.get_end_iter();
-                buffer.insert_markup(iter, `<b><big>${role}:</big></b>\n`, -1);
-                
-                iter = buffer.get_end_iter();
-                buffer.insert(iter, msg.content, -1);
-                
-                if (index < history.length - 1) {
-                    iter = buffer.get_end_iter();
-                    buffer.insert(iter, `\n\n${'─'.repeat(60)}\n\n`, -1);
-                }
-            });
-        }
-    } catch (e) {
-        textView.buffer.set_text(`Error loading chat: ${e.message}`, -1);
-    }
-}
-
-// Get history file from command line
+// Get the conversation to open from command line
 print(`[ChatWindow] programArgs: ${JSON.stringify(system.programArgs)}`);
 if (system.programArgs.length > 0) {
-    historyFile = system.programArgs[0];
-    print(`[ChatWindow] Using history file: ${historyFile}`);
+    selectedId = system.programArgs[0];
+    print(`[ChatWindow] Opening conversation: ${selectedId}`);
 } else {
     print('[ChatWindow] No arguments provided');
 }
@@ -9,7 +9,9 @@
 /// <reference path="./global.d.ts" />
 import GObject from "gi://GObject";
 import St from "gi://St";
+import Clutter from "gi://Clutter";
 import GLib from "gi://GLib";
+import Gio from "gi://Gio";
 
 
 import { Extension, gettext as _ } from "resource:///org/gnome/shell/extensions/extension.js";
@@ -18,14 +20,23 @@ import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
 import * as Main from "resource:///org/gnome/shell/ui/main.js";
 
 import { SettingsManager } from "./lib/settings.js";
-import { LLMProviderFactory } from "./lib/llmProviders.js";
+import { LLMProviderFactory, ProviderError, ProviderErrorKinds } from "./lib/llmProviders.js";
 import { ChatMessageDisplay } from "./lib/chatUI.js";
 import { ChatWindow } from "./lib/chatWindow.js";
+import { ConversationStore } from "./lib/conversationStore.js";
+import { ConversationSwitcher } from "./lib/conversationSwitcher.js";
+import { PersonaPicker } from "./lib/personaPicker.js";
+import { redact } from "./lib/redact.js";
+import { applySummary, estimateHistoryTokens, estimateTokens, fitToContext, formatTokens, getContextLimit, getHistoryBudget, getSummarizableCount } from "./lib/contextManager.js";
+import { createMessageId, getBranch, getLatestLeaf, getSiblings, isVisibleMessage } from "./lib/conversationTree.js";
+import { getExportDir, getExportFileName, getUniqueExportPath, writeExport } from "./lib/exporter.js";
 import { setupShortcut, removeShortcut, focusInput } from "./lib/utils.js";
-import { MessageRoles, CSS, UI } from "./lib/constants.js";
+import { ContextStrategies, MessageRoles, ProviderNames, SettingsKeys, CSS, UI } from "./lib/constants.js";
 import {hideTooltip, showTooltip } from "./lib/tooltip.js";
-import { SearXNGSearchClient } from "./lib/webSearch.js";
-import { YouTubeTranscriptFetcher } from "./lib/youtubeSummary.js";
+import { createDefaultToolRegistry } from "./lib/toolRegistry.js";
+import { MCPServerManager } from "./lib/mcpClient.js";
+import { TitleGenerator } from "./lib/titleGenerator.js";
+import { SUMMARY_KEEP_TURNS, Summarizer, getSummaryPrompt } from "./lib/summarizer.js";
 
 /**
  * Main extension class that handles the chat interface
@@ -41,6 +52,16 @@ const Garefowl = GObject.registerClass(
 
             this._extensionObj = extensionObj;
             this._settingsManager = new SettingsManager(extensionObj.settings);
+            // API keys are read from the keyring in the background
+            this._settingsManager.loadApiKeys();
+            this._conversationStore = new ConversationStore(this._settingsManager);
+            this._conversationId = null;
+            this._titleGenerator = new TitleGenerator(this._settingsManager);
+            this._summarizer = new Summarizer(this._settingsManager);
+            this._summarizing = false;
+            this._toolRegistry = createDefaultToolRegistry(this._settingsManager);
+            this._mcpServers = new MCPServerManager(this._toolRegistry);
+            this._mcpServers.start(this._settingsManager.getMCPServers());
             this._clipboard = extensionObj.clipboard;
             this._openSettingsCallback = extensionObj.openSettings;
             this._extensionInstance = extensionObj.extensionInstance;
@@ -62,6 +83,20 @@ const Garefowl = GObject.registerClass(
             this._history = [];
             this._loadHistory();
 
+            // State of the request in flight, used by the Stop button
+            this._turnCancellable = null;
+            this._llmProvider = null;
+            this._partialResponse = "";
+            this._replyBox = null;
+            // Attempt, status and end of the wait shown while a failed request waits to be retried
+            this._retryStatus = null;
+            // Position in the provider chain of the provider answering this turn, and its provider and model
+            this._providerIndex = 0;
+            this._answeredBy = null;
+
+            // History index of the user message being edited, or null
+            this._editIndex = null;
+
             // Track tool call depth to prevent infinite loops
             this._toolCallDepth = 0;
             this._maxToolCallDepth = 3;
@@ -88,6 +123,15 @@ const Garefowl = GObject.registerClass(
                 style:       "text-wrap: wrap",
             });
 
+            // Create conversation switcher
+            this._conversationSwitcher = new ConversationSwitcher(
+                this._conversationStore,
+                (id) => this._switchConversation(id),
+                (id) => this._deleteConversation(id),
+                (id, messageId) => this._switchConversation(id, messageId),
+                (format) => this._exportConversation(format)
+            );
+
             // Create chat message display
             const styleSettings = this._settingsManager.getStyleSettings();
             this._chatDisplay = new ChatMessageDisplay(
@@ -97,6 +141,13 @@ const Garefowl = GObject.registerClass(
                 () => this._expandToWindow()
             );
             this._chatDisplay.setClipboard(this._clipboard);
+            this._chatDisplay.setMessageActionHandlers({
+                onEdit:             (index) => this._handleEditMessage(index),
+                onBranch:           (index) => this._handleBranchFrom(index),
+                onRegenerate:       () => this._handleRegenerate(),
+                onShowSibling:      (index, position) => this._showSibling(index, position),
+                getSiblingPosition: (index) => this._getSiblingPosition(index),
+            });
 
             // Create chat input
             this._chatInput = new St.Entry({
@@ -110,6 +161,40 @@ const Garefowl = GObject.registerClass(
 
             // Set up input event handler
             this._chatInput.clutter_text.connect("activate", () => this._handleUserInput());
+            this._chatInput.clutter_text.connect("key-press-event", (actor, event) => {
+                if (event.get_key_symbol() === Clutter.KEY_Escape && this._editIndex !== null) {
+                    this._cancelEdit();
+                    return Clutter.EVENT_STOP;
+                }
+                return Clutter.EVENT_PROPAGATE;
+            });
+
+            // Create context usage indicator, updated whenever the history changes
+            this._contextLabel = new St.Label({
+                style_class: CSS.CONTEXT_USAGE,
+                x_align:     Clutter.ActorAlign.END,
+            });
+
+            // Create persona picker
+            this._personaPicker = new PersonaPicker(this._settingsManager);
+
+            // Create stop button, shown while a request is in flight
+            this._stopButton = new St.Button({
+                style:   "width: 16px; height:16px; margin-left: 10px;",
+                visible: false,
+                child:   new St.Icon({
+                    icon_name: "process-stop-symbolic",
+                    style:     "width: 30px; height:30px",
+                }),
+            });
+
+            this._stopButton.connect("clicked", () => this._handleStop());
+            this._stopButton.connect("enter-event", () => {
+                showTooltip('Stop generating');
+            });
+            this._stopButton.connect("leave-event", () => {
+                hideTooltip();
+            });
 
             // Create new conversation button
             this._newConversationButton = new St.Button({
@@ -166,6 +251,8 @@ const Garefowl = GObject.registerClass(
                 style_class: CSS.POPUP_MENU_BOX,
             });
             entryBox.add_child(this._chatInput);
+            entryBox.add_child(this._personaPicker.button);
+            entryBox.add_child(this._stopButton);
             entryBox.add_child(this._newConversationButton);
             entryBox.add_child(this._expandButton);
             entryBox.add_child(this._preferencesButton);
@@ -184,7 +271,10 @@ const Garefowl = GObject.registerClass(
                 vertical:    true,
                 style_class: CSS.POPUP_MENU_BOX,
             });
+            layout.add_child(this._conversationSwitcher.actor);
             layout.add_child(this._chatView);
+            layout.add_child(this._contextLabel);
+            layout.add_child(this._personaPicker.actor);
             layout.add_child(entryBox);
 
             // Add to popup menu
@@ -195,10 +285,15 @@ const Garefowl = GObject.registerClass(
             // Setup menu open/close handler
             this.menu.connect("open-state-changed", (self, open) => {
                 if (open) {
+                    // The chat window may have imported conversations, and the preferences changed keys
+                    this._conversationStore.reload();
+                    this._settingsManager.loadApiKeys();
+                    this._conversationSwitcher.refresh(this._conversationId);
+                    this._conversationSwitcher.collapse();
+                    this._personaPicker.collapse();
                     this._focusInputBox();
                 }
             });
-
         }
 
         /**
@@ -206,7 +301,15 @@ const Garefowl = GObject.registerClass(
         * @private
         */
         _loadSettings() {
-            this._settingsManager.connectToChanges(() => {
+            this._settingsManager.connectToChanges((settings, key) => {
+                if (key === SettingsKeys.MCP_SERVERS) {
+                    this._mcpServers.start(this._settingsManager.getMCPServers());
+                }
+                if (key === SettingsKeys.PERSONAS || key === SettingsKeys.ACTIVE_PERSONA) {
+                    this._personaPicker.refresh();
+                }
+                // The provider, model, persona or limit may have changed the context window
+                this._updateContextUsage();
                 this._chatDisplay.updateStyleSettings(this._settingsManager.getStyleSettings());
             });
         }
@@ -226,43 +329,135 @@ const Garefowl = GObject.registerClass(
                 return;
             }
 
+            if (this._editIndex !== null) {
+                // The edited message starts a branch next to the original
+                this._history = this._history.slice(0, this._editIndex);
+                this._editIndex = null;
+                this._chatInput.hint_text = UI.CHAT_INPUT_PLACEHOLDER;
+                this._chatDisplay.loadHistory(this._history);
+            }
+
             // Display user message
-            this._chatDisplay.displayMessage(MessageRoles.USER, input);
+            this._chatDisplay.displayMessage(MessageRoles.USER, input, this._history.length);
 
             // Add to history
-            this._history.push({
+            this._appendMessage({
                 role:    MessageRoles.USER,
                 content: input,
             });
 
+            this._startTurn();
+        }
+
+        /**
+        * Ask the LLM to answer the end of the history
+        * @private
+        */
+        _startTurn() {
             // Reset tool call depth for new user input
             this._toolCallDepth = 0;
 
-            // Send to LLM
-            this._sendToLLM();
+            // Cancelled by the Stop button, together with any tools the request runs
+            this._turnCancellable = new Gio.Cancellable();
+            this._stopButton.show();
+
+            // Send to LLM; right after enabling, the keys may still be on their way from the keyring
+            const cancellable = this._turnCancellable;
+            this._settingsManager.whenApiKeysLoaded(() => {
+                if (!cancellable.is_cancelled()) {
+                    this._sendToLLM();
+                }
+            });
 
             // Disable input during processing
             this._chatInput.set_reactive(false);
             this._startThinkingTimer();
         }
 
+        /**
+        * Stop the request in flight, keeping any text that has already arrived
+        * @private
+        */
+        _handleStop() {
+            if (!this._turnCancellable) {
+                return;
+            }
+
+            console.log("[Extension] Stopping the current request");
+            this._turnCancellable.cancel();
+            if (this._llmProvider) {
+                this._llmProvider.abort();
+            }
+
+            if (this._partialResponse.trim()) {
+                this._appendMessage({ role: MessageRoles.ASSISTANT, content: this._partialResponse, ...this._answeredBy });
+                this._chatDisplay.setMessageIndex(this._replyBox, this._history.length - 1);
+                this._saveHistory();
+            }
+
+            this._finishTurn();
+        }
+
+        /**
+        * Give control back to the user once a request has finished or stopped
+        * @private
+        */
+        _finishTurn() {
+            this._stopThinkingTimer();
+            this._turnCancellable = null;
+            this._llmProvider = null;
+            this._partialResponse = "";
+            this._replyBox = null;
+            this._providerIndex = 0;
+            this._answeredBy = null;
+            this._stopButton.hide();
+            hideTooltip();
+            this._chatDisplay.showMessageActions(this._history);
+            this._updateContextUsage();
+
+            this._chatInput.set_reactive(true);
+            this._chatInput.set_text("");
+            this._focusInputBox();
+        }
+
         /**
         * Start the thinking timer
         * @private
         */
         _startThinkingTimer() {
             this._thinkingStartTime = Date.now();
+            this._retryStatus = null;
             this._chatInput.set_text('Thinking 0s');
             
             this._thinkingTimer = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
-                if (this._chatInput) {
-                    const elapsed = Math.floor((Date.now() - this._thinkingStartTime) / 1000);
-                    this._chatInput.set_text(`Thinking ${elapsed}s`);
-                }
+                this._updateThinkingText();
                 return GLib.SOURCE_CONTINUE;
             });
         }
 
+        /**
+        * Show the time spent thinking, or the countdown to a retry, in the input box
+        * @private
+        */
+        _updateThinkingText() {
+            if (!this._chatInput) {
+                return;
+            }
+
+            if (this._retryStatus) {
+                const remaining = Math.ceil((this._retryStatus.until - Date.now()) / 1000);
+                if (remaining > 0) {
+                    const { status, attempt, maxAttempts } = this._retryStatus;
+                    this._chatInput.set_text(`HTTP ${status}, retrying in ${remaining}s (attempt ${attempt} of ${maxAttempts})`);
+                    return;
+                }
+                this._retryStatus = null;
+            }
+
+            const elapsed = Math.floor((Date.now() - this._thinkingStartTime) / 1000);
+            this._chatInput.set_text(`Thinking ${elapsed}s`);
+        }
+
         /**
         * Stop the thinking timer
         * @private
@@ -273,6 +468,7 @@ const Garefowl = GObject.registerClass(
                 this._thinkingTimer = null;
             }
             this._thinkingStartTime = 0;
+            this._retryStatus = null;
         }
 
         /**
@@ -280,19 +476,433 @@ const Garefowl = GObject.registerClass(
         * @private
         */
         _handleNewConversation() {
-            const inputText = this._chatInput.get_text();
-            if (inputText === UI.NEW_CONVERSATION_TEXT ||
-            !inputText.startsWith('Thinking ')) {
-            // Clear history
-                this._history = [];
-                this._settingsManager.setHistory([]);
-                this._chatDisplay.clear();
-            } else {
+            if (this._turnCancellable) {
                 this._chatDisplay.displayMessage(
                     MessageRoles.ASSISTANT,
                     "You can't create a new conversation while I am thinking"
                 );
+                return;
+            }
+
+            const { provider, model } = this._settingsManager.getChatProvider();
+            const conversation = this._conversationStore.create(provider, model);
+            this._showConversation(conversation);
+        }
+
+        /**
+        * Open a saved conversation
+        * @param {string} id - Conversation id
+        * @param {string|null} messageId - Message to scroll to, or null to show the end
+        * @private
+        */
+        _switchConversation(id, messageId = null) {
+            if (id === this._conversationId) {
+                // Reloading would drop the reply being streamed in
+                if (messageId && !this._turnCancellable) {
+                    this._showConversation(this._conversationStore.get(id), messageId);
+                }
+                return;
+            }
+            if (this._turnCancellable) {
+                this._chatDisplay.displayMessage(
+                    MessageRoles.ASSISTANT,
+                    "You can't switch conversations while I am thinking"
+                );
+                return;
+            }
+
+            const conversation = this._conversationStore.get(id);
+            if (conversation) {
+                this._conversationStore.setActive(id);
+                this._showConversation(conversation, messageId);
+            }
+        }
+
+        /**
+        * Delete a saved conversation, opening another one if it was shown
+        * @param {string} id - Conversation id
+        * @private
+        */
+        _deleteConversation(id) {
+            const isActive = id === this._conversationId;
+            if (isActive && this._turnCancellable) {
+                this._chatDisplay.displayMessage(
+                    MessageRoles.ASSISTANT,
+                    "You can't delete this conversation while I am thinking"
+                );
+                return;
+            }
+
+            this._conversationStore.delete(id);
+            if (isActive) {
+                this._showConversation(this._conversationStore.getActive());
+            } else {
+                this._conversationSwitcher.refresh(this._conversationId);
+            }
+        }
+
+        /**
+        * Put a user message into the input for editing; sending it starts a
+        * new branch next to the original message
+        * @param {number} index - History index of the message
+        * @private
+        */
+        _handleEditMessage(index) {
+            if (this._turnCancellable) {
+                this._chatDisplay.displayMessage(
+                    MessageRoles.ASSISTANT,
+                    "You can't edit a message while I am thinking"
+                );
+                return;
             }
+
+            this._editIndex = index;
+            this._chatInput.set_text(this._history[index].content);
+            this._chatInput.hint_text = "Edit the message, or press Esc to cancel";
+            this._focusInputBox();
+        }
+
+        /**
+        * Leave edit mode without changing the history
+        * @private
+        */
+        _cancelEdit() {
+            this._editIndex = null;
+            this._chatInput.set_text("");
+            this._chatInput.hint_text = UI.CHAT_INPUT_PLACEHOLDER;
+        }
+
+        /**
+        * Start a new branch after a reply; the next message the user sends
+        * becomes a sibling of the message that followed it
+        * @param {number} index - History index of the reply
+        * @private
+        */
+        _handleBranchFrom(index) {
+            if (this._turnCancellable) {
+                this._chatDisplay.displayMessage(
+                    MessageRoles.ASSISTANT,
+                    "You can't branch off while I am thinking"
+                );
+                return;
+            }
+
+            this._editIndex = index + 1;
+            this._chatInput.set_text("");
+            this._chatInput.hint_text = "Write a message to branch off here, or press Esc to cancel";
+            this._focusInputBox();
+        }
+
+        /**
+        * Ask for a new reply to the last user message. The new reply becomes
+        * a sibling of the current one, which stays a page away.
+        * @private
+        */
+        _handleRegenerate() {
+            if (this._turnCancellable) {
+                this._chatDisplay.displayMessage(
+                    MessageRoles.ASSISTANT,
+                    "You can't regenerate while I am thinking"
+                );
+                return;
+            }
+
+            const userIndex = this._history.findLastIndex((msg) => msg.role === MessageRoles.USER);
+            if (userIndex < 0) {
+                return;
+            }
+
+            if (this._editIndex !== null) {
+                this._cancelEdit();
+            }
+            this._history = this._history.slice(0, userIndex + 1);
+            this._saveHistory();
+            this._chatDisplay.loadHistory(this._history);
+            this._startTurn();
+        }
+
+        /**
+        * Find where the branch forks for a message shown in the chat. A reply
+        * that followed tool calls forks at the first tool call, as those are
+        * not shown.
+        * @param {number} index - History index of the shown message
+        * @returns {number} - History index of the message whose siblings are the alternatives
+        * @private
+        */
+        _getForkIndex(index) {
+            if (this._history[index].role === MessageRoles.USER) {
+                return index;
+            }
+
+            let forkIndex = index;
+            while (forkIndex > 0 && !isVisibleMessage(this._history[forkIndex - 1])) {
+                forkIndex--;
+            }
+            return forkIndex;
+        }
+
+        /**
+        * Get the position of a shown message among its alternatives
+        * @param {number} index - History index of the shown message
+        * @returns {object} - { position, count }
+        * @private
+        */
+        _getSiblingPosition(index) {
+            const conversation = this._conversationStore.get(this._conversationId);
+            const message = this._history[this._getForkIndex(index)];
+            const siblings = conversation && message ? getSiblings(conversation, message) : [];
+            const position = siblings.findIndex((msg) => msg.id === message.id);
+            return {
+                position: position,
+                // Messages not saved yet, e.g. after a failed request, have no branches to page through
+                count:    position >= 0 ? siblings.length : 0,
+            };
+        }
+
+        /**
+        * Show another branch at the fork of a shown message
+        * @param {number} index - History index of the shown message
+        * @param {number} position - Position of the sibling to show
+        * @private
+        */
+        _showSibling(index, position) {
+            if (this._turnCancellable) {
+                return;
+            }
+
+            const conversation = this._conversationStore.get(this._conversationId);
+            const sibling = getSiblings(conversation, this._history[this._getForkIndex(index)])[position];
+            if (!sibling) {
+                return;
+            }
+
+            this._conversationStore.selectBranch(this._conversationId, getLatestLeaf(conversation, sibling.id));
+            this._showConversation(conversation);
+        }
+
+        /**
+        * Add a message to the end of the shown branch
+        * @param {object} message - Message without id, parent or timestamp
+        * @private
+        */
+        _appendMessage(message) {
+            this._history.push({
+                ...message,
+                id:        createMessageId(),
+                parentId:  this._history[this._history.length - 1]?.id ?? null,
+                timestamp: new Date().toISOString(),
+            });
+        }
+
+        /**
+        * Export the shown conversation to the documents folder
+        * @param {string} format - One of ExportFormats
+        * @private
+        */
+        _exportConversation(format) {
+            const conversation = this._conversationStore.get(this._conversationId);
+            if (!conversation || conversation.messages.length === 0) {
+                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, "There is nothing to export yet");
+                return;
+            }
+
+            const path = getUniqueExportPath(getExportDir(), getExportFileName(conversation, format));
+            try {
+                writeExport(conversation, format, path);
+                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, `📄 Exported this conversation to ${path}`);
+            } catch (e) {
+                console.error(`[Export] Failed to write ${path}: ${e.message}`);
+                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, `⚠️ Export failed: ${e.message}`);
+            }
+        }
+
+        /**
+        * Show a conversation in the chat
+        * @param {object} conversation - Conversation from the store
+        * @param {string|null} messageId - Message to scroll to, or null to show the end
+        * @private
+        */
+        _showConversation(conversation, messageId = null) {
+            if (this._editIndex !== null) {
+                this._cancelEdit();
+            }
+            if (messageId && !getBranch(conversation).some((msg) => msg.id === messageId)) {
+                // Switch to the branch the message is on
+                this._conversationStore.selectBranch(conversation.id, getLatestLeaf(conversation, messageId));
+            }
+
+            this._conversationId = conversation.id;
+            this._history = getBranch(conversation);
+            const focusIndex = messageId ? this._history.findIndex((msg) => msg.id === messageId) : -1;
+            this._chatDisplay.loadHistory(this._history, focusIndex);
+            this._conversationSwitcher.refresh(this._conversationId);
+            this._updateContextUsage();
+            this._focusInputBox();
+        }
+
+        /**
+        * Get the part of the history sent with the next request. When older
+        * turns are summarized, the latest summary on the shown branch stands
+        * in for the messages it covers.
+        * @param {{provider: string, model: string}} chatProvider - Provider and model the request goes to
+        * @returns {object} - Messages after the summary, the summary and its prompt, their tokens, the context window and the budget left for the messages
+        * @private
+        */
+        _getRequestContext(chatProvider = this._settingsManager.getChatProvider()) {
+            let summary = null;
+            let messages = this._history;
+            if (this._settingsManager.getContextStrategy() === ContextStrategies.SUMMARIZE) {
+                const conversation = this._conversationStore.get(this._conversationId);
+                ({ summary, messages } = applySummary(this._history, conversation?.summaries));
+            }
+
+            const summaryPrompt = summary ? getSummaryPrompt(summary.content) : "";
+            const { limit, budget } = this._getContextWindow(chatProvider);
+            return {
+                messages:      messages,
+                summary:       summary,
+                summaryPrompt: summaryPrompt,
+                tokens:        estimateTokens(summaryPrompt) + estimateHistoryTokens(messages),
+                limit:         limit,
+                budget:        Math.max(budget - estimateTokens(summaryPrompt), 0),
+            };
+        }
+
+        /**
+        * Get the context window of the chat model and the tokens of it left
+        * for the history
+        * @param {{provider: string, model: string}} chatProvider - Provider and model the request goes to
+        * @returns {{limit: number, budget: number}} - Context window and history budget in tokens
+        * @private
+        */
+        _getContextWindow(chatProvider = this._settingsManager.getChatProvider()) {
+            const { provider, model } = chatProvider;
+            const persona = this._settingsManager.getActivePersona();
+            const limit = this._settingsManager.getContextLimit() || getContextLimit(model);
+
+            // The system prompt and tool definitions are sent with every request
+            const tools = this._toolRegistry.getEnabledDefinitions();
+            const fixedTokens = estimateTokens(persona?.systemPrompt) + (tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0);
+            const { maxTokens } = this._settingsManager.getGenerationParameters(provider);
+
+            return { limit, budget: getHistoryBudget(limit, fixedTokens, maxTokens) };
+        }
+
+        /**
+        * Show how much of the context window the conversation takes up
+        * @private
+        */
+        _updateContextUsage() {
+            if (!this._contextLabel) {
+                return;
+            }
+
+            const { summary, messages, tokens, limit, budget } = this._getRequestContext();
+            const messageTokens = estimateHistoryTokens(messages);
+            const percent = Math.round(tokens / limit * 100);
+            const notes = [
+                summary ? " · earlier messages summarized" : "",
+                messageTokens > budget ? " · older messages left out" : "",
+            ].join("");
+            this._contextLabel.set_text(`≈${formatTokens(tokens)} / ${formatTokens(limit)} tokens (${percent}%)${notes}`);
+
+            if (messageTokens > budget * 0.8) {
+                this._contextLabel.add_style_class_name(CSS.CONTEXT_WARNING);
+            } else {
+                this._contextLabel.remove_style_class_name(CSS.CONTEXT_WARNING);
+            }
+        }
+
+        /**
+        * Get the generation parameters of a request. A persona's temperature
+        * takes precedence over the provider's.
+        * @param {string} provider - Provider type
+        * @param {object|null} persona - Active persona
+        * @returns {object} - Parameters for setGenerationParameters
+        * @private
+        */
+        _getGenerationParameters(provider, persona) {
+            const parameters = this._settingsManager.getGenerationParameters(provider);
+            if (typeof persona?.temperature === "number") {
+                parameters.temperature = persona.temperature;
+            }
+            return parameters;
+        }
+
+        /**
+        * Save the shown conversation
+        * @private
+        */
+        _saveHistory() {
+            // A fallback provider may have answered instead of the chat provider
+            const { provider, model } = this._answeredBy || this._settingsManager.getChatProvider();
+            this._conversationStore.saveBranch(this._conversationId, this._history, provider, model);
+            this._conversationSwitcher.refresh(this._conversationId);
+        }
+
+        /**
+        * Name the shown conversation once it has its first reply
+        * @private
+        */
+        _generateTitle() {
+            const conversation = this._conversationStore.get(this._conversationId);
+            const messages = this._history.filter(isVisibleMessage);
+            if (!conversation || conversation.titleGenerated ||
+                !this._settingsManager.getBoolean(SettingsKeys.ENABLE_AUTO_TITLES) ||
+                messages.filter((msg) => msg.role === MessageRoles.ASSISTANT).length !== 1) {
+                return;
+            }
+
+            const id = conversation.id;
+            this._titleGenerator.generate(messages, (error, title) => {
+                if (error) {
+                    console.error(`[Extension] Failed to generate a title: ${redact(error.message)}`);
+                    return;
+                }
+
+                console.log(`[Extension] Generated title: ${title}`);
+                this._conversationStore.setTitle(id, title);
+                this._conversationSwitcher.refresh(this._conversationId);
+            });
+        }
+
+        /**
+        * Fold older turns into the conversation's summary in the background
+        * once the conversation fills enough of the context window
+        * @private
+        */
+        _summarizeOlderTurns() {
+            if (this._summarizing || this._settingsManager.getContextStrategy() !== ContextStrategies.SUMMARIZE) {
+                return;
+            }
+
+            const { summary, messages, budget } = this._getRequestContext();
+            const threshold = this._settingsManager.getSummaryThreshold() / 100;
+            const count = getSummarizableCount(messages, SUMMARY_KEEP_TURNS);
+            if (estimateHistoryTokens(messages) < budget * threshold || count === 0) {
+                return;
+            }
+
+            const id = this._conversationId;
+            const covered = messages.slice(0, count);
+            this._summarizing = true;
+            this._summarizer.summarize(summary?.content || "", covered, (error, content) => {
+                this._summarizing = false;
+                if (error) {
+                    console.error(`[Extension] Failed to summarize the conversation: ${redact(error.message)}`);
+                    return;
+                }
+
+                console.log(`[Extension] Summarized ${covered.length} messages`);
+                this._conversationStore.addSummary(id, {
+                    messageId: covered[covered.length - 1].id,
+                    content:   content,
+                    created:   new Date().toISOString(),
+                });
+                if (id === this._conversationId) {
+                    this._updateContextUsage();
+                }
+            });
         }
 
         /**
@@ -300,7 +910,7 @@ const Garefowl = GObject.registerClass(
         * @private
         */
         _handleNewConversationEnter() {
-            showTooltip("New conversation (Deletes current)");
+            showTooltip("New conversation");
         }
 
         /**
@@ -319,8 +929,12 @@ const Garefowl = GObject.registerClass(
             this._chatInput.set_reactive(false);
             this._chatInput.set_text(UI.LOADING_HISTORY);
 
-            this._history = this._settingsManager.getHistory();
+            const conversation = this._conversationStore.getActive();
+            this._conversationId = conversation.id;
+            this._history = getBranch(conversation);
             this._chatDisplay.loadHistory(this._history);
+            this._conversationSwitcher.refresh(this._conversationId);
+            this._updateContextUsage();
 
             this._chatInput.set_reactive(true);
             this._chatInput.set_text("");
@@ -328,33 +942,87 @@ const Garefowl = GObject.registerClass(
         }
 
         /**
-        * Send the current conversation to the LLM
+        * Send the current conversation to the LLM. When the provider cannot
+        * answer, the next provider of the fallback chain takes over the turn.
         * @private
         */
         _sendToLLM() {
-            const provider = this._settingsManager.getLLMProvider();
+            const chain = this._settingsManager.getProviderChain();
+            const { provider, model } = chain[Math.min(this._providerIndex, chain.length - 1)];
             const apiKey = this._settingsManager.getApiKey(provider);
-            const model = this._settingsManager.getModel(provider);
+            const persona = this._settingsManager.getActivePersona();
             const timeout = this._settingsManager.getRequestTimeout();
-            const enableWebSearch = this._settingsManager.getEnableWebSearch();
-            const llmProvider = LLMProviderFactory.createProvider(provider, apiKey, model, enableWebSearch);
+            const tools = this._toolRegistry.getEnabledDefinitions();
+            const options = this._settingsManager.getProviderOptions(provider);
+            const llmProvider = LLMProviderFactory.createProvider(provider, apiKey, model, tools, options);
             // Set the configured timeout
             llmProvider.setTimeout(timeout);
+            const context = this._getRequestContext({ provider, model });
+            llmProvider.setSystemPrompt([persona?.systemPrompt, context.summaryPrompt].filter(Boolean).join("\n\n"));
+            llmProvider.setGenerationParameters(this._getGenerationParameters(provider, persona));
             console.log(`[Extension] Created LLM provider: ${llmProvider.constructor.name}`);
 
+            const cancellable = this._turnCancellable;
+            this._llmProvider = llmProvider;
+            this._partialResponse = "";
+            this._answeredBy = { provider, model };
+
+            // Show the response as it streams in; the bubble is created on the first chunk
+            let streamingBox = null;
+            const onChunk = (text) => {
+                if (!text.trim() || cancellable.is_cancelled()) {
+                    return;
+                }
+                this._partialResponse = text;
+                if (streamingBox) {
+                    this._chatDisplay.updateMessage(streamingBox, MessageRoles.ASSISTANT, text);
+                } else {
+                    streamingBox = this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, text);
+                    this._replyBox = streamingBox;
+                }
+            };
+
+            // Count down to the next attempt when the provider is rate limited or overloaded
+            const onRetry = (retry) => {
+                if (cancellable.is_cancelled()) {
+                    return;
+                }
+                this._retryStatus = { ...retry, until: Date.now() + retry.delay * 1000 };
+                this._updateThinkingText();
+            };
+
             // Callback to handle LLM response
             const callback = (error, response) => {
                 console.log("[Extension] Callback entered");
                 
+                if (cancellable.is_cancelled()) {
+                    // _handleStop already kept the partial text and restored the input
+                    console.log("[Extension] Ignoring the response to a stopped request");
+                    return;
+                }
+                
+                // Hand the turn to the next provider if this one is unreachable, rejects the key, is out of quota or is down
+                const next = chain[this._providerIndex + 1];
+                if (next && error instanceof ProviderError && error.kind !== ProviderErrorKinds.REQUEST) {
+                    const reason = redact(error.message.split("\n")[0]);
+                    console.log(`[Extension] ${provider} failed (${error.kind}), falling back to ${next.provider}`);
+                    this._chatDisplay.displayMessage(
+                        MessageRoles.ASSISTANT,
+                        `⚠️ ${ProviderNames[provider] || provider} failed (${reason}), trying ${ProviderNames[next.provider] || next.provider}`
+                    );
+                    this._providerIndex++;
+                    this._retryStatus = null;
+                    this._sendToLLM();
+                    return;
+                }
+                
                 // Stop thinking timer
                 this._stopThinkingTimer();
                 
                 if (error) {
-                    console.error(`[Extension] Error: ${error}`);
+                    console.error(`[Extension] Error: ${redact(error)}`);
                     this._chatDisplay.displayError(error.toString(), true);
-                    this._chatInput.set_reactive(true);
-                    this._chatInput.set_text("");
-                    this._focusInputBox();
+                    this._finishTurn();
                     return;
                 }
                 
@@ -370,16 +1038,18 @@ const Garefowl = GObject.registerClass(
                     console.error(`[Extension] Error extracting tool calls: ${e.message}`);
                 }
                 
-                // Only handle tool calls if web search is enabled AND we haven't exceeded depth
-                if (toolCalls && toolCalls.length > 0 && enableWebSearch && this._toolCallDepth < this._maxToolCallDepth) {
-                    console.log(`[Extension] Web search enabled, handling ${toolCalls.length} tool calls...`);
-                    this._handleToolCalls(toolCalls, llmProvider, response);
+                // Only handle tool calls if tools are enabled AND we haven't exceeded depth
+                if (toolCalls && toolCalls.length > 0 && tools.length > 0 && this._toolCallDepth < this._maxToolCallDepth) {
+                    console.log(`[Extension] Tools enabled, handling ${toolCalls.length} tool calls...`);
+                    this._llmProvider = null;
+                    this._partialResponse = "";
+                    this._handleToolCalls(toolCalls, llmProvider, response, cancellable);
                     return; // Don't process as text response
                 }
                 
                 // If we got tool calls but can't handle them, log it
                 if (toolCalls && toolCalls.length > 0) {
-                    console.log(`[Extension] Ignoring tool calls (depth: ${this._toolCallDepth}, enabled: ${enableWebSearch})`);
+                    console.log(`[Extension] Ignoring tool calls (depth: ${this._toolCallDepth}, tools: ${tools.length})`);
                 }
                 
                 // Normal text response - only if no tool calls
@@ -396,26 +1066,37 @@ const Garefowl = GObject.registerClass(
                     }
                 } catch (e) {
                     console.error(`[Extension] Error extracting text: ${e.message}`);
-                    console.error(`[Extension] Response object: ${JSON.stringify(response).substring(0, 500)}`);
+                    console.error(`[Extension] Response object: ${redact(JSON.stringify(response)).substring(0, 500)}`);
                 }
                 
                 if (!textResponse || !textResponse.trim()) {
-                    console.error(`[Extension] Empty response! Full response: ${JSON.stringify(response).substring(0, 1000)}`);
+                    console.error(`[Extension] Empty response! Full response: ${redact(JSON.stringify(response)).substring(0, 1000)}`);
                     textResponse = '[No response from LLM - this may be a parsing error]';
                 }
                 
-                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, textResponse);
+                if (streamingBox) {
+                    this._chatDisplay.updateMessage(streamingBox, MessageRoles.ASSISTANT, textResponse);
+                } else {
+                    streamingBox = this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, textResponse);
+                }
                 
                 // Add to history
-                this._history.push({ role: MessageRoles.ASSISTANT, content: textResponse });
-                this._settingsManager.setHistory(this._history);
+                this._appendMessage({ role: MessageRoles.ASSISTANT, content: textResponse, provider, model });
+                this._chatDisplay.setMessageIndex(streamingBox, this._history.length - 1);
+                this._saveHistory();
+                this._generateTitle();
+                this._summarizeOlderTurns();
                 
-                this._chatInput.set_reactive(true);
-                this._chatInput.set_text("");
-                this._focusInputBox();
+                this._finishTurn();
             };
             
-            llmProvider.sendRequest(this._history, callback);
+            // Leave out what no longer fits the model's context window
+            const { messages, tokens, truncated } = fitToContext(context.messages, context.budget);
+            if (truncated) {
+                console.log(`[Extension] Sending ${messages.length} of ${context.messages.length} messages, about ${tokens} tokens`);
+            }
+
+            llmProvider.sendRequest(messages, callback, { onChunk, onRetry });
             console.log(`[Extension] Request sent, waiting for response...`);
         }
 
@@ -424,106 +1105,129 @@ const Garefowl = GObject.registerClass(
         * @param {Array} toolCalls - Array of tool calls
         * @param {LLMProvider} llmProvider - The LLM provider instance
         * @param {object} originalResponse - Original response from LLM
+        * @param {Gio.Cancellable} cancellable - Cancelled when the user stops the request
         * @private
         */
-        _handleToolCalls(toolCalls, llmProvider, originalResponse) {
+        _handleToolCalls(toolCalls, llmProvider, originalResponse, cancellable) {
             console.log(`[Extension] Handling ${toolCalls.length} tool calls (depth: ${this._toolCallDepth})`);
             
             if (this._toolCallDepth >= this._maxToolCallDepth) {
                 console.error(`[Extension] Max tool call depth (${this._maxToolCallDepth}) exceeded`);
-                this._chatDisplay.displayError(`Web search limit reached. Please try rephrasing your question.`, false);
-                this._stopThinkingTimer();
-                this._chatInput.set_reactive(true);
-                this._chatInput.set_text("");
-                this._focusInputBox();
+                this._chatDisplay.displayError(`Tool use limit reached. Please try rephrasing your question.`, false);
+                this._finishTurn();
                 return;
             }
             
             this._toolCallDepth++;
-            const toolCall = toolCalls[0];
-            
-            if (toolCall.name === 'web_search') {
-                const query = toolCall.input.query;
-                console.log(`[Extension] Performing web search: ${query}`);
+
+            // Record the assistant turn that requested the tools, so the results can answer it natively
+            let preamble = "";
+            try {
+                preamble = llmProvider._extractResponseText(originalResponse) || "";
+            } catch (e) {
+                // Tool-only responses carry no text
+            }
+            this._appendMessage({
+                role:      MessageRoles.ASSISTANT,
+                content:   preamble,
+                toolCalls: toolCalls,
+                ...this._answeredBy,
+            });
+
+            // Run all calls concurrently and answer them in one follow-up request
+            Promise.all(toolCalls.map((toolCall) => this._runToolCall(toolCall, cancellable))).then((results) => {
+                toolCalls.forEach((toolCall, index) => {
+                    this._appendMessage({
+                        role:       MessageRoles.TOOL,
+                        toolCallId: toolCall.id,
+                        name:       toolCall.name,
+                        content:    results[index],
+                    });
+                });
                 
-                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, `🔍 Searching the web for: "${query}"...`);
+                this._saveHistory();
                 
-                const searxngInstance = this._settingsManager.getSearXNGInstance();
-                const searchClient = new SearXNGSearchClient(searxngInstance);
+                // The results are kept so the history stays valid, but a stopped turn ends here
+                if (cancellable.is_cancelled()) {
+                    return;
+                }
                 
-                searchClient.search(query, (error, results) => {
-                    if (error) {
-                        console.error(`[Extension] Search error: ${error}`);
-                        this._chatDisplay.displayError(`Web search failed: ${error.message}`, false);
-                        this._stopThinkingTimer();
-                        this._toolCallDepth = 0;
-                        this._chatInput.set_reactive(true);
-                        this._chatInput.set_text("");
-                        this._focusInputBox();
-                        return;
-                    }
-                    
-                    console.log(`[Extension] Search completed, got results`);
-                    console.log(`[Extension] Search results: ${results.substring(0, 200)}...`);
-                    
-                    const currentDate = new Date().toLocaleString('en-US', { 
-                        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', 
-                        hour: '2-digit', minute: '2-digit', timeZoneName: 'short' 
-                    });
-                    
-                    // Add search results as a new user message with clear instructions
-                    this._history.push({
-                        role: MessageRoles.USER,
-                        content: `[WEB SEARCH RESULTS - Current time: ${currentDate}]\n\n${results}\n\n[END SEARCH RESULTS]\n\nUsing ONLY the search results above (which are current as of ${currentDate}), please answer the original question. Do not use your training data. If the search results don't contain the answer, say so.`
-                    });
-                    
-                    this._settingsManager.setHistory(this._history);
-                    
-                    // Send to LLM again with search results
-                    this._sendToLLM();
-                });
-            } else if (toolCall.name === 'youtube_summary') {
-                const videoUrl = toolCall.input.video_url;
-                console.log(`[Extension] Fetching YouTube transcript: ${videoUrl}`);
+                // Send to LLM again with the tool results
+                this._sendToLLM();
+            }).catch((error) => {
+                console.error(`[Extension] Tool calls failed: ${redact(error.message)}`);
+                // A stopped turn has already been finished
+                if (cancellable.is_cancelled()) {
+                    return;
+                }
+                this._chatDisplay.displayError(`Tool calls failed: ${error.message}`, false);
+                this._finishTurn();
+            });
+        }
+
+        /**
+        * Run a single tool call, showing its progress in the chat
+        * @param {object} toolCall - Tool call to run
+        * @param {Gio.Cancellable} cancellable - Cancelled when the user stops the request
+        * @returns {Promise<string>} - Tool output, or a description of the failure; never rejects
+        * @private
+        */
+        _runToolCall(toolCall, cancellable) {
+            return new Promise((resolve) => {
+                const tool = this._toolRegistry.get(toolCall.name);
+                if (!tool) {
+                    console.log(`[Extension] Unknown tool: ${toolCall.name}`);
+                    this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, `⚠️ Unknown tool requested: ${toolCall.name}`);
+                    resolve(`Unknown tool: ${toolCall.name}`);
+                    return;
+                }
+
+                const input = toolCall.input || {};
+                console.log(`[Extension] Running tool ${tool.name} with ${JSON.stringify(input)}`);
                 
-                this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, `📺 Fetching YouTube video transcript...`);
+                const progress = this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, tool.progressText(input));
                 
-                YouTubeTranscriptFetcher.fetchTranscript(videoUrl, (error, transcript) => {
-                    if (error) {
-                        console.error(`[Extension] YouTube fetch error: ${error}`);
-                        this._chatDisplay.displayError(`YouTube transcript fetch failed: ${error.message}`, false);
-                        this._stopThinkingTimer();
-                        this._toolCallDepth = 0;
-                        this._chatInput.set_reactive(true);
-                        this._chatInput.set_text("");
-                        this._focusInputBox();
+                // A stopped tool may still call back with its own cancellation error; only the first outcome counts
+                let settled = false;
+                let cancelId = 0;
+                const settle = (status, output) => {
+                    if (settled) {
                         return;
                     }
-                    
-                    console.log(`[Extension] Transcript fetched, length: ${transcript.length}`);
-                    
-                    const formatted = YouTubeTranscriptFetcher.formatTranscript(videoUrl, transcript);
-                    
-                    // Add transcript as a new user message
-                    this._history.push({
-                        role: MessageRoles.USER,
-                        content: formatted
-                    });
-                    
-                    this._settingsManager.setHistory(this._history);
-                    
-                    // Send to LLM again with transcript
-                    this._sendToLLM();
+                    settled = true;
+                    // Disconnecting from inside the cancelled handler would deadlock
+                    if (!cancellable.is_cancelled()) {
+                        cancellable.disconnect(cancelId);
+                    }
+                    this._chatDisplay.updateMessage(progress, MessageRoles.ASSISTANT, status);
+                    resolve(output);
+                };
+                
+                // Gio.Cancellable.connect() is g_cancellable_connect(), which hides the signal connect()
+                cancelId = cancellable.connect(() => {
+                    settle(`⏹️ ${tool.label} stopped`, `${tool.label} was stopped by the user`);
                 });
-            } else {
-                console.log(`[Extension] Unknown tool: ${toolCall.name}`);
-                this._chatDisplay.displayError(`Unknown tool requested: ${toolCall.name}`, false);
-                this._stopThinkingTimer();
-                this._toolCallDepth = 0;
-                this._chatInput.set_reactive(true);
-                this._chatInput.set_text("");
-                this._focusInputBox();
-            }
+                
+                try {
+                    tool.handler(input, (error, result) => {
+                        if (error) {
+                            // Tool results are stored with the conversation and sent to the model
+                            const reason = redact(error.message);
+                            console.error(`[Extension] Tool ${tool.name} failed: ${reason}`);
+                            settle(`⚠️ ${tool.label} failed: ${reason}`, `${tool.label} failed: ${reason}`);
+                            return;
+                        }
+                        
+                        console.log(`[Extension] Tool ${tool.name} completed: ${String(result).substring(0, 200)}...`);
+                        
+                        settle(tool.doneText(input), String(result));
+                    }, cancellable);
+                } catch (e) {
+                    const reason = redact(e.message);
+                    console.error(`[Extension] Tool ${tool.name} threw: ${reason}`);
+                    settle(`⚠️ ${tool.label} failed: ${reason}`, `${tool.label} failed: ${reason}`);
+                }
+            });
         }
 
         /**
@@ -578,7 +1282,7 @@ const Garefowl = GObject.registerClass(
             
             const chatWindow = new ChatWindow(
                 this._extensionInstance,
-                this._history
+                this._conversationId
             );
             chatWindow.show();
         }
@@ -602,6 +1306,11 @@ const Garefowl = GObject.registerClass(
         */
         destroy() {
             this._stopThinkingTimer();
+
+            if (this._turnCancellable) {
+                this._turnCancellable.cancel();
+                this._llmProvider?.abort();
+            }
             
             if (this._timeoutResponse) {
                 GLib.Source.remove(this._timeoutResponse);
@@ -613,11 +1322,13 @@ const Garefowl = GObject.registerClass(
                 this._timeoutFocusInputBox = null;
             }
 
-
-
             this._unbindShortcut();
+            this._mcpServers.stop();
+            this._titleGenerator.destroy();
+            this._summarizer.destroy();
             this._settingsManager.disconnectAll();
             this._chatDisplay.destroy();
+            this._conversationSwitcher.destroy();
             hideTooltip();
 
             super.destroy();
@@ -1,8 +1,10 @@
 import St from "gi://St";
 import Clutter from "gi://Clutter";
 import GLib from "gi://GLib";
-import { MessageRoles, CSS, UI } from "./constants.js";
+import { MessageRoles, ProviderNames, CSS, UI } from "./constants.js";
 import { MarkdownRenderer } from "./markdownRenderer.js";
+import { isVisibleMessage } from "./conversationTree.js";
+import { redact } from "./redact.js";
 import { hideTooltip, showTooltip } from "./tooltip.js";
 
 /**
@@ -15,15 +17,22 @@ export class ChatMessageDisplay {
      * @param {object} styleSettings - Styling settings
      * @param {Function} onSettingsRequested - Callback when settings button is clicked
      */
-
-
-
     constructor(container, styleSettings, onSettingsRequested, onExpandToWindow) {
         this._container = container;
         this._styleSettings = styleSettings;
         this._onSettingsRequested = onSettingsRequested;
         this._onExpandToWindow = onExpandToWindow;
         this._timeoutCopy = null;
+        // Latest text per message box, read by click-to-copy and streaming updates
+        this._messageTexts = new Map();
+        this._pendingUpdates = new Map();
+        this._timeoutUpdate = null;
+        this._timeoutHighlight = null;
+        this._timeoutScroll = null;
+        // History index of each message box that has actions, and the action row shown below it
+        this._messageIndexes = new Map();
+        this._actionRows = new Map();
+        this._actionHandlers = null;
     }
 
     /**
@@ -34,15 +43,14 @@ export class ChatMessageDisplay {
         this._styleSettings = styleSettings;
     }
 
-
-    
-
     /**
      * Display a message
      * @param {string} role - Role of the message sender (user or assistant)
      * @param {string} text - Message content
+     * @param {number} index - Position of the message in the history, or -1 for messages that have no actions
+     * @returns {St.BoxLayout} - The message box, for later updates
      */
-    displayMessage(role, text) {
+    displayMessage(role, text, index = -1) {
         const isUserMessage = role === MessageRoles.USER;
         const messageType = isUserMessage ? CSS.HUMAN_MESSAGE : CSS.LLM_MESSAGE;
         const messageBoxType = isUserMessage ? CSS.HUMAN_MESSAGE_BOX : CSS.LLM_MESSAGE_BOX;
@@ -53,19 +61,68 @@ export class ChatMessageDisplay {
             this._styleSettings.humanMessageTextColor :
             this._styleSettings.llmMessageTextColor;
 
-        this._createMessageBox(messageType, messageBoxType, text, backgroundColor, textColor);
+        const box = this._createMessageBox(messageType, messageBoxType, text, backgroundColor, textColor);
+        if (index >= 0) {
+            this._messageIndexes.set(box, index);
+        }
 
         // Automatically scroll to the bottom when a new message is added
         this._scrollToBottom();
+
+        return box;
+    }
+
+    /**
+     * Replace the content of a displayed message, e.g. while a response streams in.
+     * Updates are batched so markdown is re-rendered at most every 100ms.
+     * @param {St.BoxLayout} box - Message box returned by displayMessage
+     * @param {string} role - Role of the message sender (user or assistant)
+     * @param {string} text - New message content
+     */
+    updateMessage(box, role, text) {
+        this._pendingUpdates.set(box, { role, text });
+
+        if (this._timeoutUpdate) {
+            return;
+        }
+
+        this._timeoutUpdate = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+            this._timeoutUpdate = null;
+            this._flushUpdates();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Render all pending message updates
+     * @private
+     */
+    _flushUpdates() {
+        for (const [box, { role, text }] of this._pendingUpdates) {
+            if (!this._messageTexts.has(box)) {
+                continue; // Cleared in the meantime
+            }
+            const isUserMessage = role === MessageRoles.USER;
+            const backgroundColor = isUserMessage ?
+                this._styleSettings.humanMessageColor :
+                this._styleSettings.llmMessageColor;
+            const textColor = isUserMessage ?
+                this._styleSettings.humanMessageTextColor :
+                this._styleSettings.llmMessageTextColor;
+            this._renderMessageContent(box, text, backgroundColor, textColor);
+        }
+        this._pendingUpdates.clear();
+        this._scrollToBottom();
     }
 
     /**
-     * Display an error message
+     * Display an error message. Errors quote requests and responses, so
+     * secrets are removed before it is shown.
      * @param {string} errorMessage - Error message to display
      * @param {boolean} showSettingsButton - Whether to show settings button
      */
     displayError(errorMessage, showSettingsButton = true) {
-        this.displayMessage(MessageRoles.ASSISTANT, errorMessage);
+        this.displayMessage(MessageRoles.ASSISTANT, redact(errorMessage));
 
         if (showSettingsButton) {
             const settingsButton = new St.Button({
@@ -93,6 +150,7 @@ export class ChatMessageDisplay {
      * @param {string} text - Message content"garefowl-ai-chatbot@karthickk.gitlab.com"
      * @param {string} backgroundColor - Background color
      * @param {string} textColor - Text color
+     * @returns {St.BoxLayout} - The created message box
      * @private
      */
     _createMessageBox(messageType, messageBoxType, text, backgroundColor, textColor) {
@@ -103,17 +161,12 @@ export class ChatMessageDisplay {
             reactive: true,
         });
 
-        // Render markdown content
-        const renderer = new MarkdownRenderer(backgroundColor, textColor);
-        const content = renderer.render(text || "[[EMPTY RESPONSE]]");
-        
-        // Store plain text for copying
-        const plainText = text || "[[EMPTY RESPONSE]]";
+        this._renderMessageContent(box, text, backgroundColor, textColor);
 
         // Click to copy functionality
         box.connect('button-press-event', () => {
             if (this._clipboard) {
-                this._clipboard.set_text(St.ClipboardType.CLIPBOARD, plainText);
+                this._clipboard.set_text(St.ClipboardType.CLIPBOARD, this._messageTexts.get(box));
                 showTooltip('Copied!');
                 GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
                     hideTooltip();
@@ -132,11 +185,168 @@ export class ChatMessageDisplay {
             hideTooltip();
         });
 
-        box.add_child(content);
+        box.connect('destroy', () => {
+            this._messageTexts.delete(box);
+            this._pendingUpdates.delete(box);
+            this._messageIndexes.delete(box);
+            this._actionRows.get(box)?.destroy();
+            this._actionRows.delete(box);
+        });
+
         this._container.add_child(box);
+        return box;
+    }
+
+    /**
+     * Render markdown into a message box, replacing its previous content
+     * @param {St.BoxLayout} box - Message box
+     * @param {string} text - Message content
+     * @param {string} backgroundColor - Background color
+     * @param {string} textColor - Text color
+     * @private
+     */
+    _renderMessageContent(box, text, backgroundColor, textColor) {
+        // Store plain text for copying
+        const plainText = text || "[[EMPTY RESPONSE]]";
+        this._messageTexts.set(box, plainText);
+
+        const renderer = new MarkdownRenderer(backgroundColor, textColor);
+        box.destroy_all_children();
+        box.add_child(renderer.render(plainText));
+    }
+
+    /**
+     * Set the handlers of the message actions
+     * @param {object} handlers - { onEdit(index), onBranch(index), onRegenerate(), onShowSibling(index, position),
+     *   getSiblingPosition(index) returning { position, count } }
+     */
+    setMessageActionHandlers(handlers) {
+        this._actionHandlers = handlers;
+    }
+
+    /**
+     * Record the history position of a message displayed before it was added to the history
+     * @param {St.BoxLayout} box - Message box returned by displayMessage
+     * @param {number} index - Position of the message in the history
+     */
+    setMessageIndex(box, index) {
+        this._messageIndexes.set(box, index);
+    }
+
+    /**
+     * Show the actions of the displayed messages: user messages can be edited,
+     * replies can be branched off from or, for the last one, regenerated, and
+     * messages with alternatives get buttons to page through them. Replies
+     * are captioned with the provider and model that wrote them.
+     * @param {Array} history - Chat history the message indexes refer to
+     */
+    showMessageActions(history) {
+        if (!this._actionHandlers) {
+            return;
+        }
+
+        for (const [box, index] of this._messageIndexes) {
+            this._actionRows.get(box)?.destroy();
+            this._actionRows.delete(box);
+
+            const message = history[index];
+            if (!message) {
+                continue;
+            }
+
+            let row;
+            if (message.role === MessageRoles.USER) {
+                row = this._createActionRow(Clutter.ActorAlign.END);
+                this._addSiblingPager(row, index);
+                row.add_child(this._createActionButton("document-edit-symbolic", "Edit and resend", () => this._actionHandlers.onEdit(index)));
+            } else {
+                row = this._createActionRow(Clutter.ActorAlign.START);
+                if (index === history.length - 1) {
+                    row.add_child(this._createActionButton("view-refresh-symbolic", "Regenerate", () => this._actionHandlers.onRegenerate()));
+                } else {
+                    row.add_child(this._createActionButton("mail-reply-sender-symbolic", "Branch off from here", () => this._actionHandlers.onBranch(index)));
+                }
+                this._addSiblingPager(row, index);
+                if (message.model) {
+                    row.add_child(new St.Label({
+                        text:        `${ProviderNames[message.provider] || message.provider} · ${message.model}`,
+                        y_align:     Clutter.ActorAlign.CENTER,
+                        style_class: CSS.MESSAGE_CAPTION,
+                    }));
+                }
+            }
+
+            this._container.insert_child_above(row, box);
+            this._actionRows.set(box, row);
+        }
+    }
+
+    /**
+     * Create an empty row for message actions
+     * @param {Clutter.ActorAlign} align - Side of the chat the row sits on
+     * @returns {St.BoxLayout} - The row
+     * @private
+     */
+    _createActionRow(align) {
+        return new St.BoxLayout({
+            vertical:    false,
+            x_align:     align,
+            style_class: CSS.MESSAGE_ACTIONS,
+        });
+    }
+
+    /**
+     * Create a small icon button for a message action
+     * @param {string} iconName - Icon name
+     * @param {string} tooltip - Tooltip text
+     * @param {Function} callback - Called when the button is clicked
+     * @returns {St.Button} - The button
+     * @private
+     */
+    _createActionButton(iconName, tooltip, callback) {
+        const button = new St.Button({
+            child: new St.Icon({
+                icon_name: iconName,
+                style:     "width: 14px; height: 14px;",
+            }),
+        });
+        button.connect("clicked", () => {
+            hideTooltip();
+            callback();
+        });
+        button.connect("enter-event", () => {
+            showTooltip(tooltip);
+        });
+        button.connect("leave-event", () => {
+            hideTooltip();
+        });
+        return button;
     }
 
+    /**
+     * Add "‹ 2/3 ›" buttons for paging through the branches at a message
+     * @param {St.BoxLayout} row - Action row of the message
+     * @param {number} index - History index of the message
+     * @private
+     */
+    _addSiblingPager(row, index) {
+        const { position, count } = this._actionHandlers.getSiblingPosition(index);
+        if (count < 2) {
+            return;
+        }
 
+        const previous = this._createActionButton("go-previous-symbolic", "Previous branch", () => this._actionHandlers.onShowSibling(index, position - 1));
+        previous.reactive = position > 0;
+        const next = this._createActionButton("go-next-symbolic", "Next branch", () => this._actionHandlers.onShowSibling(index, position + 1));
+        next.reactive = position < count - 1;
+
+        row.add_child(previous);
+        row.add_child(new St.Label({
+            text:    `${position + 1}/${count}`,
+            y_align: Clutter.ActorAlign.CENTER,
+        }));
+        row.add_child(next);
+    }
 
     /**
      * Set the clipboard for copy operations
@@ -174,23 +384,76 @@ export class ChatMessageDisplay {
      * Clear all messages
      */
     clear() {
+        if (this._timeoutHighlight) {
+            GLib.Source.remove(this._timeoutHighlight);
+            this._timeoutHighlight = null;
+        }
         this._container.destroy_all_children();
     }
 
     /**
      * Load a chat history
      * @param {Array} history - Chat history to display
+     * @param {number} focusIndex - Index of a message to scroll to and highlight, or -1 to show the end
      */
-    loadHistory(history) {
+    loadHistory(history, focusIndex = -1) {
         this.clear();
 
+        let focusBox = null;
         if (Array.isArray(history)) {
-            history.forEach((message) => {
-                this.displayMessage(message.role, message.content);
+            history.forEach((message, index) => {
+                // Tool results and tool-only assistant turns are protocol, not conversation
+                if (!isVisibleMessage(message)) {
+                    return;
+                }
+                const box = this.displayMessage(message.role, message.content, index);
+                if (index === focusIndex) {
+                    focusBox = box;
+                }
             });
+            this.showMessageActions(history);
         }
 
-        this._scrollToBottom();
+        if (focusBox) {
+            this._scrollToBox(focusBox);
+        } else {
+            this._scrollToBottom();
+        }
+    }
+
+    /**
+     * Scroll a message into view and highlight it for a moment
+     * @param {St.BoxLayout} box - Message box
+     * @private
+     */
+    _scrollToBox(box) {
+        if (this._timeoutHighlight) {
+            GLib.Source.remove(this._timeoutHighlight);
+        }
+
+        box.add_style_class_name(CSS.SEARCH_MATCH);
+        this._timeoutHighlight = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 2000, () => {
+            box.remove_style_class_name(CSS.SEARCH_MATCH);
+            this._timeoutHighlight = null;
+            return GLib.SOURCE_REMOVE;
+        });
+
+        if (!this._scrollView) {
+            return;
+        }
+
+        // Wait for the new messages to be allocated before reading their position
+        if (this._timeoutScroll) {
+            GLib.Source.remove(this._timeoutScroll);
+        }
+        this._timeoutScroll = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
+            this._timeoutScroll = null;
+            const vadjustment = this._scrollView.vadjustment;
+            if (vadjustment) {
+                vadjustment.value = Math.min(box.y, vadjustment.upper - vadjustment.page_size);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
     }
 
     /**
@@ -219,7 +482,21 @@ export class ChatMessageDisplay {
             GLib.Source.remove(this._timeoutCopy);
             this._timeoutCopy = null;
         }
-    }
 
+        if (this._timeoutUpdate) {
+            GLib.Source.remove(this._timeoutUpdate);
+            this._timeoutUpdate = null;
+        }
+        this._pendingUpdates.clear();
 
+        if (this._timeoutHighlight) {
+            GLib.Source.remove(this._timeoutHighlight);
+            this._timeoutHighlight = null;
+        }
+
+        if (this._timeoutScroll) {
+            GLib.Source.remove(this._timeoutScroll);
+            this._timeoutScroll = null;
+        }
+    }
 }
@@ -5,26 +5,15 @@ import Gio from "gi://Gio";
  * Launch standalone GTK window for chat viewing
  */
 export class ChatWindow {
-    constructor(extension, history) {
+    constructor(extension, activeId) {
         this._extension = extension;
-        this._history = history || [];
-        this._historyFile = GLib.build_filenamev([GLib.get_tmp_dir(), 'garefowl-chat-history.json']);
+        this._activeId = activeId;
     }
 
     show() {
-        this._saveHistory();
         this._launchWindow();
     }
 
-    _saveHistory() {
-        try {
-            const json = JSON.stringify(this._history);
-            GLib.file_set_contents(this._historyFile, json);
-        } catch (e) {
-            log(`Error saving history: ${e.message}`);
-        }
-    }
-
     _launchWindow() {
         try {
             const extensionPath = this._extension.path;
@@ -34,12 +23,13 @@ export class ChatWindow {
                 return;
             }
             
+            // The window reads the conversations from the store itself
             const appPath = GLib.build_filenamev([extensionPath, 'chatWindowApp.js']);
-            log(`[Garefowl] Launching: gjs -m ${appPath} ${this._historyFile}`);
+            log(`[Garefowl] Launching: gjs -m ${appPath} ${this._activeId}`);
             
             const [success, pid] = GLib.spawn_async(
                 null,
-                ['gjs', '-m', appPath, this._historyFile],
+                ['gjs', '-m', appPath, this._activeId],
                 null,
                 GLib.SpawnFlags.SEARCH_PATH | GLib.SpawnFlags.DO_NOT_REAP_CHILD,
                 null
@@ -58,8 +48,8 @@ export class ChatWindow {
 
 
 
-    updateHistory(history) {
-        this._history = history;
+    setActiveConversation(activeId) {
+        this._activeId = activeId;
     }
 
     destroy() {
@@ -4,12 +4,24 @@
 
 // LLM Provider identifiers
 export const LLMProviders = {
-    ANTHROPIC:  "anthropic",
-    OPENAI:     "openai",
-    GEMINI:     "gemini",
-    OPENROUTER: "openrouter",
-    OLLAMA:     "ollama",
-    GROQ:       "groq",
+    ANTHROPIC:     "anthropic",
+    OPENAI:        "openai",
+    GEMINI:        "gemini",
+    OPENROUTER:    "openrouter",
+    OLLAMA:        "ollama",
+    GROQ:          "groq",
+    CUSTOM_OPENAI: "custom-openai",
+};
+
+// Names of the providers shown to the user, in the order of the preferences
+export const ProviderNames = {
+    [LLMProviders.ANTHROPIC]:     "Anthropic",
+    [LLMProviders.OPENAI]:        "OpenAI",
+    [LLMProviders.GEMINI]:        "Gemini",
+    [LLMProviders.OPENROUTER]:    "OpenRouter",
+    [LLMProviders.OLLAMA]:        "Ollama",
+    [LLMProviders.GROQ]:          "Groq",
+    [LLMProviders.CUSTOM_OPENAI]: "Custom OpenAI-compatible",
 };
 
 // Settings keys
@@ -20,35 +32,61 @@ export const SettingsKeys = {
     GEMINI_API_KEY:           "gemini-api-key",
     OPENROUTER_API_KEY:       "openrouter-api-key",
     GROQ_API_KEY:             "groq-api-key",
+    CUSTOM_OPENAI_API_KEY:    "custom-openai-api-key",
     ANTHROPIC_MODEL:          "anthropic-model",
     OPENAI_MODEL:             "openai-model",
     GEMINI_MODEL:             "gemini-model",
     OPENROUTER_MODEL:         "openrouter-model",
     OLLAMA_MODEL:             "ollama-model",
     GROQ_MODEL:               "groq-model",
+    CUSTOM_OPENAI_MODEL:      "custom-openai-model",
+    CUSTOM_OPENAI_BASE_URL:   "custom-openai-base-url",
+    CUSTOM_OPENAI_HEADERS:    "custom-openai-headers",
+    OLLAMA_URL:               "ollama-url",
+    OLLAMA_HEADERS:           "ollama-headers",
     REQUEST_TIMEOUT:          "request-timeout",
+    FALLBACK_PROVIDERS:       "fallback-providers",
+    CONTEXT_LIMIT:            "context-limit",
+    CONTEXT_STRATEGY:         "context-strategy",
+    SUMMARY_THRESHOLD:        "summary-threshold",
+    GENERATION_PARAMETERS:    "generation-parameters",
+    PERSONAS:                 "personas",
+    ACTIVE_PERSONA:           "active-persona",
     ENABLE_WEB_SEARCH:        "enable-web-search",
+    ENABLE_YOUTUBE_SUMMARY:   "enable-youtube-summary",
     SEARXNG_INSTANCE:         "searxng-instance",
+    ENABLE_AUTO_TITLES:       "enable-auto-titles",
+    TITLE_MODELS:             "title-models",
+    MCP_SERVERS:              "mcp-servers",
     HUMAN_MESSAGE_COLOR:      "human-message-color",
     LLM_MESSAGE_COLOR:        "llm-message-color",
     HUMAN_MESSAGE_TEXT_COLOR: "human-message-text-color",
     LLM_MESSAGE_TEXT_COLOR:   "llm-message-text-color",
     HISTORY:                  "history",
+    CONVERSATIONS:            "conversations",
+    ACTIVE_CONVERSATION:      "active-conversation",
     OPEN_CHAT_SHORTCUT:       "open-chat-shortcut",
 };
 
+// What to do with conversations that outgrow the context window
+export const ContextStrategies = {
+    TRUNCATE:  "truncate", // Leave out tool output and the oldest turns
+    SUMMARIZE: "summarize", // Condense older turns into a running summary
+};
+
 // Message role identifiers
 export const MessageRoles = {
     USER:      "user",
     ASSISTANT: "assistant",
     MODEL:     "model", // Used for Gemini
+    TOOL:      "tool", // Result of a tool call, linked to it by toolCallId
 };
 
 // UI text constants
 export const UI = {
     CHAT_INPUT_PLACEHOLDER: "Chat with me",
     THINKING_TEXT:          "I am thinking...",
-    NEW_CONVERSATION_TEXT:  "Create a new conversation (Deletes current)",
+    NEW_CONVERSATION_TEXT:  "Create a new conversation",
     COPY_TEXT_HINT:         "Click on text to copy",
     LOADING_HISTORY:        "Loading history...",
     ERROR_API_KEY:          "Hmm, an error occurred when trying to reach out to the assistant.\nCheck your API key and model settings for {0} and try again. It could also be your internet connection!",
@@ -61,43 +99,23 @@ export const UI = {
 
 // CSS class names
 export const CSS = {
-    HUMAN_MESSAGE:     "humanMessage",
-    LLM_MESSAGE:       "llmMessage",
-    HUMAN_MESSAGE_BOX: "humanMessage-box",
-    LLM_MESSAGE_BOX:   "llmMessage-box",
-    MESSAGE_INPUT:     "messageInput",
-    POPUP_MENU_BOX:    "popup-menu-box",
-    CHAT_SCROLLING:    "chat-scrolling",
-};
-
-// Web search tool definition
-export const WEB_SEARCH_TOOL = {
-    name: "web_search",
-    description: "Search the web for current, real-time information. ALWAYS use this tool when the user asks about: current weather, today's date/time, latest news, recent events, current stock prices, live sports scores, or anything containing words like 'today', 'now', 'current', 'latest', 'recent'. This tool provides up-to-date information that you don't have in your training data.",
-    input_schema: {
-        type: "object",
-        properties: {
-            query: {
-                type: "string",
-                description: "Search query with relevant keywords. Be specific and include temporal terms like 'today', 'current', 'latest' when relevant."
-            }
-        },
-        required: ["query"]
-    }
-};
-
-// YouTube summary tool definition
-export const YOUTUBE_SUMMARY_TOOL = {
-    name: "youtube_summary",
-    description: "Get transcript and summary of a YouTube video. Use this when user provides a YouTube URL or asks to summarize a YouTube video. The video must have subtitles/captions available.",
-    input_schema: {
-        type: "object",
-        properties: {
-            video_url: {
-                type: "string",
-                description: "YouTube video URL (e.g., https://www.youtube.com/watch?v=VIDEO_ID or https://youtu.be/VIDEO_ID)"
-            }
-        },
-        required: ["video_url"]
-    }
+    HUMAN_MESSAGE:       "humanMessage",
+    LLM_MESSAGE:         "llmMessage",
+    HUMAN_MESSAGE_BOX:   "humanMessage-box",
+    LLM_MESSAGE_BOX:     "llmMessage-box",
+    MESSAGE_INPUT:       "messageInput",
+    POPUP_MENU_BOX:      "popup-menu-box",
+    CHAT_SCROLLING:      "chat-scrolling",
+    CONVERSATION_HEADER: "conversation-header",
+    CONVERSATION_LIST:   "conversation-list",
+    CONVERSATION_ROW:    "conversation-row",
+    CONVERSATION_SEARCH: "conversation-search",
+    SEARCH_MATCH:        "search-match",
+    EXPORT_BUTTON:       "export-button",
+    MESSAGE_ACTIONS:     "message-actions",
+    PERSONA_BUTTON:      "persona-button",
+    PERSONA_LIST:        "persona-list",
+    CONTEXT_USAGE:       "context-usage",
+    CONTEXT_WARNING:     "context-usage-warning",
+    MESSAGE_CAPTION:     "message-caption",
 };
@@ -0,0 +1,184 @@
+import { MessageRoles } from "./constants.js";
+
+// Average characters per token; close enough for English text and code
+const CHARS_PER_TOKEN = 4;
+// Tokens a message costs besides its content, for role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Room left for the answer when no max tokens parameter is set
+const DEFAULT_RESPONSE_TOKENS = 4096;
+// Context window of models whose name matches none of CONTEXT_LIMITS
+export const DEFAULT_CONTEXT_LIMIT = 8192;
+
+// Context windows in tokens of model families, matched in order against the model name
+const CONTEXT_LIMITS = [
+    [/claude/i, 200000],
+    [/gemini-1\.5-pro/i, 2097152],
+    [/gemini/i, 1048576],
+    [/gpt-4\.1/i, 1047576],
+    [/gpt-5/i, 400000],
+    [/(^|\/)o\d/i, 200000],
+    [/gpt-oss/i, 131072],
+    [/gpt-4o|gpt-4-turbo/i, 128000],
+    [/gpt-3\.5/i, 16385],
+    [/gpt-4/i, 8192],
+    [/llama-?3\.[1-3]|llama-?4|deepseek|mistral-(large|medium|small)/i, 128000],
+    [/qwen|mistral|ministral|mixtral|gemma/i, 32768],
+];
+
+// Replaces the output of earlier tool calls that no longer fit
+const TOOL_OUTPUT_OMITTED = "[Tool output omitted to fit the context window]";
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens a message takes up in a request
+ * @param {object} message - Message of the history
+ * @returns {number} - Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+    const toolCalls = message.toolCalls?.length ? JSON.stringify(message.toolCalls) : "";
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content) + estimateTokens(toolCalls);
+}
+
+/**
+ * Estimate the number of tokens of a history
+ * @param {Array<object>} history - Messages
+ * @returns {number} - Estimated tokens
+ */
+export function estimateHistoryTokens(history) {
+    return history.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+}
+
+/**
+ * Get the context window of a model
+ * @param {string} model - Model name
+ * @returns {number} - Context window in tokens
+ */
+export function getContextLimit(model) {
+    const match = CONTEXT_LIMITS.find(([pattern]) => pattern.test(model || ""));
+    return match ? match[1] : DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Get the tokens of the context window left for the history
+ * @param {number} limit - Context window in tokens
+ * @param {number} fixedTokens - Tokens of the system prompt and tool definitions
+ * @param {number|null} maxTokens - Max tokens parameter, or null for the default
+ * @returns {number} - Tokens available to the messages
+ */
+export function getHistoryBudget(limit, fixedTokens, maxTokens) {
+    // Small windows would otherwise be used up by the answer alone
+    const responseTokens = Math.min(maxTokens ?? DEFAULT_RESPONSE_TOKENS, Math.floor(limit / 2));
+    return Math.max(limit - responseTokens - fixedTokens, 0);
+}
+
+/**
+ * Find where the turns of a history start. A turn is a user message with
+ * the replies, tool calls and tool results that follow it.
+ * @param {Array<object>} history - Messages
+ * @returns {Array<number>} - Indexes of the user messages
+ */
+function getTurnStarts(history) {
+    const starts = [];
+    history.forEach((msg, index) => {
+        if (msg.role === MessageRoles.USER) {
+            starts.push(index);
+        }
+    });
+    return starts;
+}
+
+/**
+ * Shorten a history so it fits a token budget. The output of tool calls
+ * before the last turn is omitted first, oldest first, then whole turns are
+ * dropped from the start so tool calls always keep their results. The last
+ * turn is always sent, even if it does not fit on its own.
+ * @param {Array<object>} history - Messages
+ * @param {number} budget - Tokens available to the messages
+ * @returns {{messages: Array<object>, tokens: number, truncated: boolean}} - Messages to send and their estimated tokens
+ */
+export function fitToContext(history, budget) {
+    let tokens = estimateHistoryTokens(history);
+    if (tokens <= budget) {
+        return { messages: history, tokens, truncated: false };
+    }
+
+    let messages = history.slice();
+    const turnStarts = getTurnStarts(messages);
+    const lastTurn = turnStarts.length > 0 ? turnStarts[turnStarts.length - 1] : messages.length;
+
+    for (let i = 0; i < lastTurn && tokens > budget; i++) {
+        const msg = messages[i];
+        if (msg.role === MessageRoles.TOOL && msg.content !== TOOL_OUTPUT_OMITTED) {
+            const omitted = { ...msg, content: TOOL_OUTPUT_OMITTED };
+            tokens -= estimateMessageTokens(msg) - estimateMessageTokens(omitted);
+            messages[i] = omitted;
+        }
+    }
+
+    let start = 0;
+    for (const turnStart of turnStarts.slice(1)) {
+        if (tokens <= budget) {
+            break;
+        }
+        tokens -= estimateHistoryTokens(messages.slice(start, turnStart));
+        start = turnStart;
+    }
+    messages = messages.slice(start);
+
+    return { messages, tokens, truncated: true };
+}
+
+/**
+ * Find the most recent summary of the start of a history. Summaries of
+ * other branches cover messages that are not in the history and are skipped.
+ * @param {Array<object>} history - Messages
+ * @param {Array<object>} summaries - Summaries stored with the conversation
+ * @returns {{summary: object|null, messages: Array<object>}} - The summary and the messages after it
+ */
+export function applySummary(history, summaries) {
+    let summary = null;
+    let lastCovered = -1;
+    for (const candidate of summaries || []) {
+        const index = history.findIndex((msg) => msg.id === candidate.messageId);
+        if (index > lastCovered) {
+            summary = candidate;
+            lastCovered = index;
+        }
+    }
+    return { summary, messages: history.slice(lastCovered + 1) };
+}
+
+/**
+ * Count the messages at the start of a history that can be summarized,
+ * which is all but the last turns
+ * @param {Array<object>} history - Messages
+ * @param {number} keepTurns - Turns at the end that are kept
+ * @returns {number} - Number of messages, 0 if there are no more turns than are kept
+ */
+export function getSummarizableCount(history, keepTurns) {
+    const turnStarts = getTurnStarts(history);
+    return turnStarts.length > keepTurns ? turnStarts[turnStarts.length - keepTurns] : 0;
+}
+
+/**
+ * Format a token count for display
+ * @param {number} tokens - Tokens
+ * @returns {string} - Count such as "850", "12k" or "1.2M"
+ */
+export function formatTokens(tokens) {
+    if (tokens >= 1000000) {
+        return `${Math.round(tokens / 100000) / 10}M`;
+    }
+    if (tokens >= 1000) {
+        return `${Math.round(tokens / 1000)}k`;
+    }
+    return `${tokens}`;
+}
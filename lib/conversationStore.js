@@ -0,0 +1,578 @@
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import { MessageRoles } from "./constants.js";
+import { getBranch, mergeBranch, toTree } from "./conversationTree.js";
+
+const TITLE_LENGTH = 40;
+const SNIPPET_CONTEXT = 40;
+const SEARCH_LIMIT = 50;
+const INDEX_FILE = "index.json";
+const CONVERSATIONS_DIR = "conversations";
+
+/**
+ * Get the directory the conversations are stored in
+ * @returns {string} - ~/.local/share/garefowl, or the XDG equivalent
+ */
+export function getStoreDir() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), "garefowl"]);
+}
+
+/**
+ * Get the path of a conversation file
+ * @param {string} id - Conversation id
+ * @returns {string} - File path
+ */
+function getConversationPath(id) {
+    return GLib.build_filenamev([getStoreDir(), CONVERSATIONS_DIR, `${id}.json`]);
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} path - File path
+ * @returns {*} - Parsed contents, or null if the file is missing or invalid
+ */
+function readJSON(path) {
+    try {
+        const [success, contents] = GLib.file_get_contents(path);
+        if (success) {
+            return JSON.parse(new TextDecoder("utf-8").decode(contents));
+        }
+    } catch (e) {
+        if (!e.matches?.(GLib.FileError, GLib.FileError.NOENT)) {
+            console.error(`[ConversationStore] Failed to read ${path}: ${e.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Write a JSON file atomically; GLib writes a temporary file and renames it over the old one
+ * @param {string} path - File path
+ * @param {*} data - Data to store
+ */
+function writeJSON(path, data) {
+    GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o700);
+    GLib.file_set_contents(path, JSON.stringify(data));
+}
+
+/**
+ * Get the index entry of a conversation
+ * @param {object} conversation - Conversation
+ * @returns {object} - Conversation without its messages and summaries
+ */
+function summarize(conversation) {
+    const summary = { ...conversation };
+    delete summary.messages;
+    delete summary.currentId;
+    delete summary.summaries;
+    return summary;
+}
+
+/**
+ * Read the conversation index, which holds everything but the messages
+ * @returns {Array<object>} - Conversation summaries in storage order
+ */
+export function readIndex() {
+    const index = readJSON(GLib.build_filenamev([getStoreDir(), INDEX_FILE]));
+    return Array.isArray(index?.conversations) ? index.conversations : [];
+}
+
+/**
+ * Turn the contents of a conversation file into a conversation
+ * @param {object|null} data - Parsed file
+ * @returns {object|null} - Conversation with its messages as a tree, or null for no data
+ */
+function toConversation(data) {
+    if (!data) {
+        return null;
+    }
+    if (!Array.isArray(data.messages)) {
+        data.messages = [];
+    }
+    return toTree(data);
+}
+
+/**
+ * Read a stored conversation including its messages. Conversations saved
+ * before messages formed a tree are converted when read.
+ * @param {string} id - Conversation id
+ * @returns {object|null} - Conversation, or null if it does not exist
+ */
+export function readConversation(id) {
+    return toConversation(readJSON(getConversationPath(id)));
+}
+
+/**
+ * Read a stored conversation without blocking the main loop
+ * @param {string} id - Conversation id
+ * @param {Gio.Cancellable|null} cancellable - Optional cancellable
+ * @param {Function} callback - Called with the conversation, or null if it cannot be read
+ */
+function readConversationAsync(id, cancellable, callback) {
+    const file = Gio.File.new_for_path(getConversationPath(id));
+    file.load_contents_async(cancellable, (source, result) => {
+        let data = null;
+        try {
+            const [, contents] = source.load_contents_finish(result);
+            data = JSON.parse(new TextDecoder("utf-8").decode(contents));
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) && !e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error(`[ConversationStore] Failed to read conversation ${id}: ${e.message}`);
+            }
+        }
+        callback(toConversation(data));
+    });
+}
+
+/**
+ * Add conversations to the store, for example from an import. Each gets a
+ * new id, so importing the same file twice does not overwrite anything.
+ * @param {Array<object>} conversations - Conversations without ids
+ * @returns {Array<object>} - The stored conversations
+ */
+export function importConversations(conversations) {
+    const index = readIndex();
+    const stored = conversations.map((conversation) => toTree({
+        ...conversation,
+        id: GLib.uuid_string_random(),
+    }));
+
+    for (const conversation of stored) {
+        writeJSON(getConversationPath(conversation.id), conversation);
+        index.push(summarize(conversation));
+    }
+    writeJSON(GLib.build_filenamev([getStoreDir(), INDEX_FILE]), { version: 1, conversations: index });
+    return stored;
+}
+
+/**
+ * Cut the text around a match down to a single line
+ * @param {string} text - Message text
+ * @param {number} position - Position of the match
+ * @returns {string} - Snippet with ellipses where text was cut
+ */
+function createSnippet(text, position) {
+    const start = Math.max(0, position - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, position + SNIPPET_CONTEXT * 2);
+    const snippet = text.substring(start, end).replace(/\s+/g, " ").trim();
+    return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Search the text of every message in the given conversations. A message
+ * matches when it contains all words of the query, ignoring case. Tool
+ * results and tool-only turns are skipped as they are not shown in the chat.
+ * Messages on every branch are searched, not only the shown one.
+ * @param {Array<object>} conversations - Conversations including their messages
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of matches to return
+ * @returns {Array<object>} - Matches as { conversationId, title, updated, messageId, role, snippet }
+ */
+export function searchMessages(conversations, query, limit = SEARCH_LIMIT) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = [];
+    if (terms.length === 0) {
+        return matches;
+    }
+
+    for (const conversation of conversations) {
+        for (const msg of conversation.messages) {
+            if (matches.length >= limit || msg.role === MessageRoles.TOOL || typeof msg.content !== "string") {
+                continue;
+            }
+
+            const text = msg.content.toLowerCase();
+            if (!terms.every((term) => text.includes(term))) {
+                continue;
+            }
+
+            matches.push({
+                conversationId: conversation.id,
+                title:          conversation.title,
+                updated:        conversation.updated,
+                messageId:      msg.id,
+                role:           msg.role,
+                snippet:        createSnippet(msg.content, text.indexOf(terms[0])),
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Search the messages of stored conversations in the given order. Their
+ * files are read one at a time in the background and not kept, so long
+ * histories neither block the main loop nor fill the memory.
+ * @param {Array<object>} entries - Index entries of the conversations to search
+ * @param {string} query - Search text
+ * @param {Function} callback - Called with the matches, see searchMessages; not called when cancelled
+ * @param {Gio.Cancellable|null} cancellable - Cancelled to abandon the search, e.g. when the query changes
+ * @param {Function} getLoaded - Returns a conversation already in memory by id, which is searched instead of its file
+ */
+export function searchConversations(entries, query, callback, cancellable = null, getLoaded = () => null) {
+    const matches = [];
+    if (!query.trim()) {
+        callback(matches);
+        return;
+    }
+
+    const searchFrom = (position) => {
+        if (cancellable?.is_cancelled()) {
+            return;
+        }
+        if (position >= entries.length || matches.length >= SEARCH_LIMIT) {
+            callback(matches);
+            return;
+        }
+
+        const onRead = (conversation) => {
+            if (conversation) {
+                matches.push(...searchMessages([conversation], query, SEARCH_LIMIT - matches.length));
+            }
+            searchFrom(position + 1);
+        };
+        const loaded = getLoaded(entries[position].id);
+        if (loaded) {
+            onRead(loaded);
+        } else {
+            readConversationAsync(entries[position].id, cancellable, onRead);
+        }
+    };
+    searchFrom(0);
+}
+
+/**
+ * Derive a conversation title from its first user message
+ * @param {Array} messages - Conversation messages
+ * @returns {string} - Title, or a placeholder for empty conversations
+ */
+export function createTitle(messages) {
+    const first = messages.find((msg) => msg.role === MessageRoles.USER && typeof msg.content === "string" && msg.content.trim());
+    if (!first) {
+        return "New conversation";
+    }
+
+    const text = first.content.trim().replace(/\s+/g, " ");
+    return text.length > TITLE_LENGTH ? `${text.substring(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Saved conversations and which one is active.
+ *
+ * A conversation is { id, title, created, updated, provider, model, messages, currentId },
+ * with ISO 8601 dates and messages forming a tree, see conversationTree.js, and
+ * titleGenerated set once the model has named it. Each conversation
+ * is stored in its own file under getStoreDir(), next to an index of summaries
+ * so the list can be shown without reading every message.
+ */
+export class ConversationStore {
+    /**
+     * Create a conversation store
+     * @param {SettingsManager} settingsManager - Settings holding the active conversation and any data to migrate
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        this._index = readIndex();
+        // Conversations whose messages have been read, by id
+        this._loaded = new Map();
+        // Ids deleted here, which must not come back from the index file
+        this._deleted = new Set();
+        this._migrateSettings();
+    }
+
+    /**
+     * Move conversations kept in GSettings by earlier versions into files.
+     * The settings are cleared afterwards, so this only runs once.
+     * @private
+     */
+    _migrateSettings() {
+        const conversations = this._settingsManager.getConversations();
+
+        // Before conversations existed there was a single history
+        const history = this._settingsManager.getHistory();
+        if (history.length > 0) {
+            const provider = this._settingsManager.getLLMProvider();
+            const conversation = this._newConversation(provider, this._settingsManager.getModel(provider));
+            conversation.messages = history;
+            conversation.title = createTitle(history);
+            conversations.push(conversation);
+            this._settingsManager.setActiveConversationId(conversation.id);
+        }
+
+        if (conversations.length === 0) {
+            return;
+        }
+
+        try {
+            for (const conversation of conversations) {
+                toTree(conversation);
+                writeJSON(getConversationPath(conversation.id), conversation);
+                if (!this._index.some((entry) => entry.id === conversation.id)) {
+                    this._index.push(summarize(conversation));
+                }
+                this._loaded.set(conversation.id, conversation);
+            }
+        } catch (e) {
+            // Keep the settings so the migration is tried again next time
+            console.error(`[ConversationStore] Failed to migrate conversations: ${e.message}`);
+            return;
+        }
+        this._saveIndex();
+
+        this._settingsManager.setConversations([]);
+        this._settingsManager.setHistory([]);
+        console.log(`[ConversationStore] Migrated ${conversations.length} conversations to ${getStoreDir()}`);
+    }
+
+    /**
+     * Read the index again, picking up conversations added by the chat window
+     */
+    reload() {
+        this._index = readIndex();
+        for (const id of this._loaded.keys()) {
+            if (!this._index.some((entry) => entry.id === id)) {
+                this._loaded.delete(id);
+            }
+        }
+    }
+
+    /**
+     * List the conversations, most recently updated first
+     * @returns {Array<object>} - Conversation summaries, without messages
+     */
+    list() {
+        return [...this._index].sort((a, b) => b.updated.localeCompare(a.updated));
+    }
+
+    /**
+     * Look up a conversation, reading its messages from disk the first time
+     * @param {string} id - Conversation id
+     * @returns {object|undefined} - Conversation
+     */
+    get(id) {
+        if (!this._index.some((entry) => entry.id === id)) {
+            return undefined;
+        }
+        if (!this._loaded.has(id)) {
+            const conversation = readConversation(id);
+            if (!conversation) {
+                return undefined;
+            }
+            this._loaded.set(id, conversation);
+        }
+        return this._loaded.get(id);
+    }
+
+    /**
+     * Search the messages of all conversations, most recently updated first.
+     * Conversations that are open are searched in memory, see searchConversations.
+     * @param {string} query - Search text
+     * @param {Function} callback - Called with the matches, see searchMessages; not called when cancelled
+     * @param {Gio.Cancellable|null} cancellable - Cancelled to abandon the search, e.g. when the query changes
+     */
+    search(query, callback, cancellable = null) {
+        searchConversations(this.list(), query, callback, cancellable, (id) => this._loaded.get(id));
+    }
+
+    /**
+     * Get the active conversation, falling back to the most recent one or a new one
+     * @returns {object} - Conversation
+     */
+    getActive() {
+        const active = this.get(this._settingsManager.getActiveConversationId()) || this.get(this.list()[0]?.id);
+        if (active) {
+            this.setActive(active.id);
+            return active;
+        }
+
+        const { provider, model } = this._settingsManager.getChatProvider();
+        return this.create(provider, model);
+    }
+
+    /**
+     * Make a conversation the active one
+     * @param {string} id - Conversation id
+     */
+    setActive(id) {
+        if (this._settingsManager.getActiveConversationId() !== id) {
+            this._settingsManager.setActiveConversationId(id);
+        }
+    }
+
+    /**
+     * Start a new conversation and make it active. An empty active
+     * conversation is reused rather than piling up blank entries.
+     * @param {string} provider - Provider type
+     * @param {string} model - Model name
+     * @returns {object} - The new conversation
+     */
+    create(provider, model) {
+        const active = this.get(this._settingsManager.getActiveConversationId());
+        if (active && active.messages.length === 0) {
+            return active;
+        }
+
+        const conversation = this._newConversation(provider, model);
+        this._index.push(summarize(conversation));
+        this._loaded.set(conversation.id, conversation);
+        this._save(conversation);
+        this.setActive(conversation.id);
+        return conversation;
+    }
+
+    /**
+     * Store the shown branch of a conversation; other branches are kept
+     * @param {string} id - Conversation id
+     * @param {Array} branch - Messages from the start of the conversation, see conversationTree.js
+     * @param {string} provider - Provider type that answered last
+     * @param {string} model - Model that answered last
+     */
+    saveBranch(id, branch, provider, model) {
+        const conversation = this.get(id);
+        if (!conversation) {
+            return;
+        }
+
+        mergeBranch(conversation, branch);
+        conversation.provider = provider;
+        conversation.model = model;
+        conversation.updated = new Date().toISOString();
+        if (conversation.title === "New conversation") {
+            conversation.title = createTitle(branch);
+        }
+        this._save(conversation);
+    }
+
+    /**
+     * Replace the title derived from the first message with a generated one
+     * @param {string} id - Conversation id
+     * @param {string} title - New title
+     */
+    setTitle(id, title) {
+        const conversation = this.get(id);
+        if (!conversation) {
+            return;
+        }
+
+        conversation.title = title;
+        conversation.titleGenerated = true;
+        this._save(conversation);
+    }
+
+    /**
+     * Store a summary of the start of a branch. Summaries of earlier parts of
+     * the same branch are replaced, as the new one builds on them; those of
+     * other branches are kept.
+     * @param {string} id - Conversation id
+     * @param {object} summary - Summary with the id of the last message it covers and its content
+     */
+    addSummary(id, summary) {
+        const conversation = this.get(id);
+        if (!conversation) {
+            return;
+        }
+
+        const covered = new Set(getBranch(conversation, summary.messageId).map((msg) => msg.id));
+        conversation.summaries = [
+            ...(conversation.summaries || []).filter((earlier) => !covered.has(earlier.messageId)),
+            summary,
+        ];
+        this._save(conversation);
+    }
+
+    /**
+     * Show another branch of a conversation from now on
+     * @param {string} id - Conversation id
+     * @param {string} messageId - Last message of the branch
+     */
+    selectBranch(id, messageId) {
+        const conversation = this.get(id);
+        if (!conversation || conversation.currentId === messageId) {
+            return;
+        }
+
+        conversation.currentId = messageId;
+        this._save(conversation);
+    }
+
+    /**
+     * Delete a conversation
+     * @param {string} id - Conversation id
+     */
+    delete(id) {
+        this._index = this._index.filter((entry) => entry.id !== id);
+        this._loaded.delete(id);
+        this._deleted.add(id);
+        this._saveIndex();
+
+        try {
+            GLib.unlink(getConversationPath(id));
+        } catch (e) {
+            console.error(`[ConversationStore] Failed to delete conversation ${id}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Create an empty conversation object
+     * @param {string} provider - Provider type
+     * @param {string} model - Model name
+     * @returns {object} - Conversation
+     * @private
+     */
+    _newConversation(provider, model) {
+        const now = new Date().toISOString();
+        return {
+            id:        GLib.uuid_string_random(),
+            title:     "New conversation",
+            created:   now,
+            updated:   now,
+            provider:  provider,
+            model:     model,
+            messages:  [],
+            currentId: null,
+        };
+    }
+
+    /**
+     * Write a conversation and the updated index
+     * @param {object} conversation - Conversation to write
+     * @private
+     */
+    _save(conversation) {
+        try {
+            writeJSON(getConversationPath(conversation.id), conversation);
+        } catch (e) {
+            console.error(`[ConversationStore] Failed to save conversation ${conversation.id}: ${e.message}`);
+            return;
+        }
+
+        const summary = summarize(conversation);
+        const position = this._index.findIndex((entry) => entry.id === conversation.id);
+        if (position >= 0) {
+            this._index[position] = summary;
+        } else {
+            this._index.push(summary);
+        }
+        this._saveIndex();
+    }
+
+    /**
+     * Write the index of conversation summaries. Conversations the chat
+     * window imported since the index was read are merged in first, so
+     * they are not dropped from the file.
+     * @private
+     */
+    _saveIndex() {
+        for (const entry of readIndex()) {
+            if (!this._deleted.has(entry.id) && !this._index.some((known) => known.id === entry.id)) {
+                this._index.push(entry);
+            }
+        }
+
+        try {
+            writeJSON(GLib.build_filenamev([getStoreDir(), INDEX_FILE]), { version: 1, conversations: this._index });
+        } catch (e) {
+            console.error(`[ConversationStore] Failed to save the conversation index: ${e.message}`);
+        }
+    }
+}
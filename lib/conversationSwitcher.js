@@ -0,0 +1,321 @@
+import St from "gi://St";
+import Clutter from "gi://Clutter";
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import { CSS } from "./constants.js";
+import { ExportFormats } from "./exporter.js";
+import { hideTooltip, showTooltip } from "./tooltip.js";
+
+/**
+ * Format an ISO 8601 date for the conversation list
+ * @param {string} isoDate - Date string
+ * @returns {string} - Short local date and time
+ */
+export function formatConversationDate(isoDate) {
+    const date = new Date(isoDate);
+    if (isNaN(date.getTime())) {
+        return "";
+    }
+    return date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * Collapsible list of saved conversations shown at the top of the popup,
+ * with a search entry that lists matching messages instead
+ */
+export class ConversationSwitcher {
+    /**
+     * Create a conversation switcher
+     * @param {ConversationStore} store - Store holding the conversations
+     * @param {Function} onSwitch - Called with the id of the conversation to open
+     * @param {Function} onDelete - Called with the id of the conversation to delete
+     * @param {Function} onOpenMatch - Called with a conversation id and message id from a search match
+     * @param {Function} onExport - Called with one of ExportFormats to export the shown conversation
+     */
+    constructor(store, onSwitch, onDelete, onOpenMatch, onExport) {
+        this._store = store;
+        this._onSwitch = onSwitch;
+        this._onDelete = onDelete;
+        this._onOpenMatch = onOpenMatch;
+        this._onExport = onExport;
+        this._activeId = null;
+        this._timeoutSearch = null;
+
+        this._titleLabel = new St.Label({
+            x_expand: true,
+            style:    "font-weight: bold;",
+        });
+        this._arrow = new St.Icon({
+            icon_name: "pan-down-symbolic",
+            style:     "width: 16px; height: 16px;",
+        });
+
+        const headerBox = new St.BoxLayout({ vertical: false });
+        headerBox.add_child(this._titleLabel);
+        headerBox.add_child(this._arrow);
+
+        this._headerButton = new St.Button({
+            child:       headerBox,
+            x_expand:    true,
+            style_class: CSS.CONVERSATION_HEADER,
+        });
+        this._headerButton.connect("clicked", () => this._setExpanded(!this._panel.visible));
+
+        this._searchEntry = new St.Entry({
+            hint_text:   "Search all conversations",
+            can_focus:   true,
+            style_class: CSS.CONVERSATION_SEARCH,
+        });
+        this._searchEntry.clutter_text.connect("text-changed", () => this._queueSearch());
+
+        this._list = new St.BoxLayout({ vertical: true });
+        const listView = new St.ScrollView({
+            style_class: CSS.CONVERSATION_LIST,
+        });
+        listView.set_child(this._list);
+
+        this._panel = new St.BoxLayout({
+            vertical: true,
+            visible:  false,
+        });
+        this._panel.add_child(this._searchEntry);
+        this._panel.add_child(listView);
+        this._panel.add_child(this._createExportRow());
+
+        this.actor = new St.BoxLayout({
+            vertical:    true,
+            style_class: CSS.POPUP_MENU_BOX,
+        });
+        this.actor.add_child(this._headerButton);
+        this.actor.add_child(this._panel);
+    }
+
+    /**
+     * Rebuild the header and list from the store
+     * @param {string} activeId - Id of the conversation shown in the chat
+     */
+    refresh(activeId) {
+        this._activeId = activeId;
+        const active = this._store.get(activeId);
+        this._titleLabel.set_text(active ? active.title : "");
+
+        this._cancelSearch();
+        if (this._searchEntry.get_text().trim()) {
+            this._showMatches();
+        } else {
+            this._showConversations();
+        }
+    }
+
+    /**
+     * Hide the conversation list and clear the search
+     */
+    collapse() {
+        this._searchEntry.set_text("");
+        this._setExpanded(false);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        if (this._timeoutSearch) {
+            GLib.Source.remove(this._timeoutSearch);
+            this._timeoutSearch = null;
+        }
+        this._cancelSearch();
+    }
+
+    /**
+     * Abandon the search in progress, if any
+     * @private
+     */
+    _cancelSearch() {
+        if (this._searchCancellable) {
+            this._searchCancellable.cancel();
+            this._searchCancellable = null;
+        }
+    }
+
+    /**
+     * Show or hide the conversation list
+     * @param {boolean} expanded - Whether the list is shown
+     * @private
+     */
+    _setExpanded(expanded) {
+        this._panel.visible = expanded;
+        this._arrow.icon_name = expanded ? "pan-up-symbolic" : "pan-down-symbolic";
+    }
+
+    /**
+     * Create the row of buttons that export the shown conversation
+     * @returns {St.BoxLayout} - The row
+     * @private
+     */
+    _createExportRow() {
+        const row = new St.BoxLayout({
+            vertical:    false,
+            style_class: CSS.CONVERSATION_ROW,
+        });
+        row.add_child(new St.Label({
+            text:     "Export as",
+            x_expand: true,
+            y_align:  Clutter.ActorAlign.CENTER,
+        }));
+
+        const formats = [
+            ["Markdown", ExportFormats.MARKDOWN],
+            ["HTML", ExportFormats.HTML],
+            ["JSON", ExportFormats.JSON],
+        ];
+        for (const [label, format] of formats) {
+            const button = new St.Button({
+                label:       label,
+                style_class: CSS.EXPORT_BUTTON,
+            });
+            button.connect("clicked", () => {
+                this.collapse();
+                this._onExport(format);
+            });
+            row.add_child(button);
+        }
+        return row;
+    }
+
+    /**
+     * Update the list shortly after the search text stops changing
+     * @private
+     */
+    _queueSearch() {
+        if (this._timeoutSearch) {
+            GLib.Source.remove(this._timeoutSearch);
+        }
+        this._timeoutSearch = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 250, () => {
+            this._timeoutSearch = null;
+            this.refresh(this._activeId);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * List all conversations
+     * @private
+     */
+    _showConversations() {
+        this._list.destroy_all_children();
+        for (const conversation of this._store.list()) {
+            this._list.add_child(this._createRow(conversation, conversation.id === this._activeId));
+        }
+    }
+
+    /**
+     * List the messages matching the search text
+     * @private
+     */
+    _showMatches() {
+        this._list.destroy_all_children();
+        this._list.add_child(new St.Label({
+            text:        "Searching…",
+            style_class: CSS.CONVERSATION_ROW,
+        }));
+
+        const cancellable = new Gio.Cancellable();
+        this._searchCancellable = cancellable;
+        this._store.search(this._searchEntry.get_text(), (matches) => {
+            if (this._searchCancellable === cancellable) {
+                this._searchCancellable = null;
+            }
+            this._list.destroy_all_children();
+            if (matches.length === 0) {
+                this._list.add_child(new St.Label({
+                    text:        "No messages found",
+                    style_class: CSS.CONVERSATION_ROW,
+                }));
+                return;
+            }
+
+            for (const match of matches) {
+                this._list.add_child(this._createMatchRow(match));
+            }
+        }, cancellable);
+    }
+
+    /**
+     * Create the list row of a search match
+     * @param {object} match - Match from ConversationStore.search
+     * @returns {St.Button} - The row
+     * @private
+     */
+    _createMatchRow(match) {
+        const labels = new St.BoxLayout({ vertical: true, x_expand: true });
+        labels.add_child(new St.Label({
+            text:  `${match.title} · ${formatConversationDate(match.updated)}`,
+            style: "font-size: 11px; color: #aaaaaa;",
+        }));
+
+        const snippet = new St.Label({ text: match.snippet });
+        snippet.clutter_text.line_wrap = true;
+        labels.add_child(snippet);
+
+        const row = new St.Button({
+            child:       labels,
+            x_expand:    true,
+            style_class: CSS.CONVERSATION_ROW,
+        });
+        row.connect("clicked", () => {
+            this.collapse();
+            this._onOpenMatch(match.conversationId, match.messageId);
+        });
+        return row;
+    }
+
+    /**
+     * Create the list row of a conversation
+     * @param {object} conversation - Conversation
+     * @param {boolean} isActive - Whether it is the conversation shown in the chat
+     * @returns {St.BoxLayout} - The row
+     * @private
+     */
+    _createRow(conversation, isActive) {
+        const labels = new St.BoxLayout({ vertical: true, x_expand: true });
+        labels.add_child(new St.Label({
+            text:  conversation.title,
+            style: isActive ? "font-weight: bold;" : "",
+        }));
+        labels.add_child(new St.Label({
+            text:  [formatConversationDate(conversation.updated), conversation.model].filter(Boolean).join(" · "),
+            style: "font-size: 11px; color: #aaaaaa;",
+        }));
+
+        const openButton = new St.Button({
+            child:    labels,
+            x_expand: true,
+        });
+        openButton.connect("clicked", () => {
+            this.collapse();
+            this._onSwitch(conversation.id);
+        });
+
+        const deleteButton = new St.Button({
+            child: new St.Icon({
+                icon_name: "user-trash-symbolic",
+                style:     "width: 16px; height: 16px;",
+            }),
+        });
+        deleteButton.connect("clicked", () => this._onDelete(conversation.id));
+        deleteButton.connect("enter-event", () => {
+            showTooltip("Delete conversation");
+        });
+        deleteButton.connect("leave-event", () => {
+            hideTooltip();
+        });
+
+        const row = new St.BoxLayout({
+            vertical:    false,
+            style_class: CSS.CONVERSATION_ROW,
+        });
+        row.add_child(openButton);
+        row.add_child(deleteButton);
+        return row;
+    }
+}
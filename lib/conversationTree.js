@@ -0,0 +1,152 @@
+import GLib from "gi://GLib";
+import { MessageRoles } from "./constants.js";
+
+/**
+ * Conversations are stored as a tree of messages so a chat can be forked at
+ * any message. Every message has an `id` and the `parentId` of the message it
+ * follows (null for the first one); messages with the same parent are
+ * siblings, kept in the order they were written. The conversation's
+ * `currentId` is the last message of the branch that is shown.
+ */
+
+/**
+ * Create an id for a new message
+ * @returns {string} - Message id
+ */
+export function createMessageId() {
+    return GLib.uuid_string_random();
+}
+
+/**
+ * Check whether a message is shown in the chat. Tool results and tool-only
+ * assistant turns are protocol, not conversation.
+ * @param {object} message - Message
+ * @returns {boolean} - True if the message is shown
+ */
+export function isVisibleMessage(message) {
+    return message.role !== MessageRoles.TOOL && !(message.toolCalls?.length && !message.content);
+}
+
+/**
+ * Link a chain of messages below a parent
+ * @param {Array<object>} messages - Messages in order, without ids
+ * @param {string|null} parentId - Id of the message the chain follows
+ * @returns {Array<object>} - The messages with ids and parent ids
+ */
+function linkChain(messages, parentId) {
+    return messages.map((msg) => {
+        const message = { ...msg };
+        delete message.alternatives;
+        delete message.alternativeIndex;
+        message.id = createMessageId();
+        message.parentId = parentId;
+        parentId = message.id;
+        return message;
+    });
+}
+
+/**
+ * Turn the flat message list of older conversations into a tree. Earlier
+ * replies kept as alternatives on a user message become sibling branches.
+ * Conversations that already are trees are returned unchanged.
+ * @param {object} conversation - Conversation, changed in place
+ * @returns {object} - The conversation
+ */
+export function toTree(conversation) {
+    const messages = conversation.messages || [];
+    if (messages.every((msg) => msg.id)) {
+        if (!messages.some((msg) => msg.id === conversation.currentId)) {
+            conversation.currentId = messages[messages.length - 1]?.id ?? null;
+        }
+        return conversation;
+    }
+
+    const nodes = [];
+    const laterBranches = [];
+    let parentId = null;
+    for (const msg of messages) {
+        const [node] = linkChain([msg], parentId);
+
+        // Replies written before the shown one come first among the siblings
+        const alternatives = msg.role === MessageRoles.USER ? msg.alternatives || [] : [];
+        const position = Math.min(msg.alternativeIndex ?? alternatives.length, alternatives.length);
+
+        nodes.push(node);
+        for (const reply of alternatives.slice(0, position)) {
+            nodes.push(...linkChain(reply, node.id));
+        }
+        for (const reply of alternatives.slice(position)) {
+            laterBranches.push(...linkChain(reply, node.id));
+        }
+        parentId = node.id;
+    }
+
+    conversation.messages = [...nodes, ...laterBranches];
+    conversation.currentId = parentId;
+    return conversation;
+}
+
+/**
+ * Get the messages from the start of the conversation to a message
+ * @param {object} conversation - Conversation
+ * @param {string|null} messageId - Last message of the branch; defaults to the shown branch
+ * @returns {Array<object>} - Messages in order
+ */
+export function getBranch(conversation, messageId = conversation.currentId) {
+    const byId = new Map(conversation.messages.map((msg) => [msg.id, msg]));
+    const branch = [];
+    let message = byId.get(messageId);
+    while (message) {
+        branch.unshift(message);
+        message = byId.get(message.parentId);
+    }
+    return branch;
+}
+
+/**
+ * Get a message and the other messages that follow the same parent
+ * @param {object} conversation - Conversation
+ * @param {object} message - Message in the conversation
+ * @returns {Array<object>} - Siblings in the order they were written, including the message
+ */
+export function getSiblings(conversation, message) {
+    const parentId = message.parentId ?? null;
+    return conversation.messages.filter((msg) => (msg.parentId ?? null) === parentId);
+}
+
+/**
+ * Find the end of the branch below a message, following the most recent
+ * reply at every fork
+ * @param {object} conversation - Conversation
+ * @param {string} messageId - Message id
+ * @returns {string} - Id of the last message of the branch
+ */
+export function getLatestLeaf(conversation, messageId) {
+    let leafId = messageId;
+    for (;;) {
+        const children = conversation.messages.filter((msg) => msg.parentId === leafId);
+        if (children.length === 0) {
+            return leafId;
+        }
+        leafId = children[children.length - 1].id;
+    }
+}
+
+/**
+ * Add the messages of a branch to the tree and make it the shown branch.
+ * Messages already in the tree are replaced; other branches are kept.
+ * @param {object} conversation - Conversation, changed in place
+ * @param {Array<object>} branch - Messages from the start of the conversation
+ */
+export function mergeBranch(conversation, branch) {
+    const positions = new Map(conversation.messages.map((msg, index) => [msg.id, index]));
+    for (const message of branch) {
+        if (positions.has(message.id)) {
+            conversation.messages[positions.get(message.id)] = message;
+        } else {
+            positions.set(message.id, conversation.messages.length);
+            conversation.messages.push(message);
+        }
+    }
+    conversation.currentId = branch[branch.length - 1]?.id ?? null;
+}
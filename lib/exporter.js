@@ -0,0 +1,302 @@
+import GLib from "gi://GLib";
+import { MessageRoles } from "./constants.js";
+import { getBranch, isVisibleMessage } from "./conversationTree.js";
+
+// Identifies our JSON export, so the importer can recognise it
+export const EXPORT_FORMAT = "garefowl-conversation";
+export const EXPORT_VERSION = 1;
+
+// Supported export formats and their file extensions
+export const ExportFormats = {
+    MARKDOWN: "md",
+    HTML:     "html",
+    JSON:     "json",
+};
+
+/**
+ * Get the messages of the shown branch that are visible in the chat
+ * @param {object} conversation - Conversation
+ * @returns {Array} - Messages without tool results and tool-only turns
+ */
+function getVisibleMessages(conversation) {
+    return getBranch(conversation).filter(isVisibleMessage);
+}
+
+/**
+ * Get the display name of a message role
+ * @param {string} role - Message role
+ * @returns {string} - "You" or "Assistant"
+ */
+function getRoleName(role) {
+    return role === MessageRoles.USER ? "You" : "Assistant";
+}
+
+/**
+ * Describe the provider, model and dates of a conversation
+ * @param {object} conversation - Conversation
+ * @returns {Array<string>} - "Label: value" lines
+ */
+function getMetadataLines(conversation) {
+    return [
+        `Provider: ${conversation.provider || "unknown"}`,
+        `Model: ${conversation.model || "unknown"}`,
+        `Created: ${conversation.created}`,
+        `Updated: ${conversation.updated}`,
+    ];
+}
+
+/**
+ * Export the shown branch of a conversation as Markdown with a header per message
+ * @param {object} conversation - Conversation
+ * @returns {string} - Markdown document
+ */
+export function exportMarkdown(conversation) {
+    const parts = [
+        `# ${conversation.title}`,
+        getMetadataLines(conversation).map((line) => `- ${line}`).join("\n"),
+    ];
+
+    for (const msg of getVisibleMessages(conversation)) {
+        const time = msg.timestamp ? ` (${msg.timestamp})` : "";
+        parts.push(`## ${getRoleName(msg.role)}${time}`);
+        parts.push(msg.content);
+    }
+
+    return parts.join("\n\n") + "\n";
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render inline markdown: code, bold, italics and links
+ * @param {string} text - One line or paragraph of markdown
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+    // Keep code spans out of the other replacements
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>")
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, "<a href=\"$2\">$1</a>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Render the markdown of a message as HTML. Covers what models commonly
+ * produce: fenced code blocks, headings, lists, quotes and paragraphs.
+ * @param {string} text - Markdown
+ * @returns {string} - HTML
+ */
+export function renderMarkdownToHtml(text) {
+    const lines = text.split("\n");
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInline(paragraph.join("\n")).replace(/\n/g, "<br>")}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fence = line.match(/^\s*```(\S*)/);
+
+        if (fence) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith("```")) {
+                code.push(lines[i]);
+                i++;
+            }
+            const language = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : "";
+            html.push(`<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? "ul" : "ol";
+            if (list && list.tag !== tag) {
+                flushList();
+            }
+            list = list || { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (line.startsWith(">")) {
+            flushParagraph();
+            flushList();
+            html.push(`<blockquote>${renderInline(line.replace(/^>\s?/, ""))}</blockquote>`);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    }
+
+    flushParagraph();
+    flushList();
+    return html.join("\n");
+}
+
+/**
+ * Export the shown branch of a conversation as a standalone HTML page
+ * @param {object} conversation - Conversation
+ * @returns {string} - HTML document
+ */
+export function exportHtml(conversation) {
+    const messages = getVisibleMessages(conversation).map((msg) => {
+        const roleClass = msg.role === MessageRoles.USER ? "user" : "assistant";
+        const time = msg.timestamp ? ` <time datetime="${escapeHtml(msg.timestamp)}">${escapeHtml(msg.timestamp)}</time>` : "";
+        return `<section class="message ${roleClass}">
+<h2>${getRoleName(msg.role)}${time}</h2>
+${renderMarkdownToHtml(msg.content)}
+</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 50em; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #222; }
+.meta { color: #666; font-size: 0.9em; }
+.message { border-radius: 8px; padding: 0.5em 1em; margin: 1em 0; }
+.message.user { background: #e8f0fe; }
+.message.assistant { background: #f3f3f3; }
+.message h2 { font-size: 1em; margin: 0.3em 0; }
+.message time { color: #888; font-weight: normal; font-size: 0.85em; margin-left: 0.5em; }
+pre { background: #1e1e1e; color: #ddd; padding: 0.8em; border-radius: 6px; overflow-x: auto; }
+code { font-family: monospace; }
+:not(pre) > code { background: #e0e0e0; padding: 0 0.2em; border-radius: 3px; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">${getMetadataLines(conversation).map(escapeHtml).join("<br>")}</p>
+${messages.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a conversation as JSON that the importer reads back unchanged,
+ * including every branch, tool calls and results
+ * @param {object} conversation - Conversation
+ * @returns {string} - JSON document
+ */
+export function exportJson(conversation) {
+    return JSON.stringify({
+        format:       EXPORT_FORMAT,
+        version:      EXPORT_VERSION,
+        exported:     new Date().toISOString(),
+        conversation: conversation,
+    }, null, 2);
+}
+
+/**
+ * Export a conversation in the given format
+ * @param {object} conversation - Conversation
+ * @param {string} format - One of ExportFormats
+ * @returns {string} - File contents
+ */
+export function exportConversation(conversation, format) {
+    switch (format) {
+        case ExportFormats.HTML:
+            return exportHtml(conversation);
+        case ExportFormats.JSON:
+            return exportJson(conversation);
+        default:
+            return exportMarkdown(conversation);
+    }
+}
+
+/**
+ * Suggest a file name for an exported conversation
+ * @param {object} conversation - Conversation
+ * @param {string} format - One of ExportFormats
+ * @returns {string} - File name such as "my-question-2024-05-01.md"
+ */
+export function getExportFileName(conversation, format) {
+    const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 50) || "conversation";
+    const date = (conversation.updated || "").substring(0, 10);
+    return `${[slug, date].filter(Boolean).join("-")}.${format}`;
+}
+
+/**
+ * Find a path for a new export in a folder. If the file exists already, a
+ * number is added to the name instead of overwriting it.
+ * @param {string} dir - Folder of the export
+ * @param {string} fileName - File name, see getExportFileName
+ * @returns {string} - Path such as dir/title-2025-01-31.md or dir/title-2025-01-31-2.md
+ */
+export function getUniqueExportPath(dir, fileName) {
+    const dot = fileName.lastIndexOf(".");
+    const [name, extension] = dot > 0 ? [fileName.substring(0, dot), fileName.substring(dot)] : [fileName, ""];
+    let path = GLib.build_filenamev([dir, fileName]);
+    for (let number = 2; GLib.file_test(path, GLib.FileTest.EXISTS); number++) {
+        path = GLib.build_filenamev([dir, `${name}-${number}${extension}`]);
+    }
+    return path;
+}
+
+/**
+ * Write an exported conversation to a file
+ * @param {object} conversation - Conversation
+ * @param {string} format - One of ExportFormats
+ * @param {string} path - File path
+ */
+export function writeExport(conversation, format, path) {
+    GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+    GLib.file_set_contents(path, exportConversation(conversation, format));
+}
+
+/**
+ * Get the folder exports from the popup are written to
+ * @returns {string} - ~/Documents/Garefowl, or the home folder if there is no documents folder
+ */
+export function getExportDir() {
+    const documents = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DOCUMENTS) || GLib.get_home_dir();
+    return GLib.build_filenamev([documents, "Garefowl"]);
+}
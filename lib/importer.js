@@ -0,0 +1,196 @@
+import { LLMProviders, MessageRoles } from "./constants.js";
+import { createTitle } from "./conversationStore.js";
+import { EXPORT_FORMAT } from "./exporter.js";
+
+/**
+ * Convert a Unix time in seconds to an ISO 8601 date
+ * @param {number} seconds - Seconds since the epoch
+ * @returns {string|null} - Date, or null if the time is missing
+ */
+function fromUnixTime(seconds) {
+    return typeof seconds === "number" ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Join consecutive messages of the same role, as some providers require
+ * user and assistant turns to alternate
+ * @param {Array<object>} messages - Messages in order
+ * @returns {Array<object>} - Merged messages, each keeping the first timestamp
+ */
+function mergeConsecutive(messages) {
+    const merged = [];
+    for (const msg of messages) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.role === msg.role) {
+            previous.content += `\n\n${msg.content}`;
+        } else {
+            merged.push({ ...msg });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Fill in the fields every imported conversation needs
+ * @param {object} conversation - Conversation without an id
+ * @returns {object} - Conversation with a title and dates
+ */
+function completeConversation(conversation) {
+    const messages = mergeConsecutive(conversation.messages);
+    const created = conversation.created || messages[0]?.timestamp || new Date().toISOString();
+    return {
+        title:    conversation.title || createTitle(messages),
+        created:  created,
+        updated:  conversation.updated || messages[messages.length - 1]?.timestamp || created,
+        provider: conversation.provider,
+        model:    conversation.model,
+        messages: messages,
+    };
+}
+
+/**
+ * Convert one conversation of a ChatGPT export. Messages form a tree in
+ * `mapping`; the conversation as last shown is the path from `current_node`
+ * up to the root. Hidden, system and tool messages are dropped.
+ * @param {object} data - Conversation from ChatGPT's conversations.json
+ * @returns {object} - Conversation
+ */
+function convertChatGPT(data) {
+    const path = [];
+    let node = data.mapping[data.current_node];
+    while (node) {
+        path.unshift(node);
+        node = node.parent ? data.mapping[node.parent] : null;
+    }
+
+    const messages = [];
+    let model = data.default_model_slug || null;
+    for (const { message } of path) {
+        const role = message?.author?.role;
+        if ((role !== "user" && role !== "assistant") ||
+            message.metadata?.is_visually_hidden_from_conversation ||
+            (message.recipient && message.recipient !== "all")) {
+            continue;
+        }
+
+        // Images and other attachments are parts that are not strings
+        const content = (message.content?.parts || [])
+            .filter((part) => typeof part === "string")
+            .join("\n")
+            .trim();
+        if (!content) {
+            continue;
+        }
+
+        if (role === "assistant" && message.metadata?.model_slug) {
+            model = message.metadata.model_slug;
+        }
+        messages.push({
+            role:      role === "user" ? MessageRoles.USER : MessageRoles.ASSISTANT,
+            content:   content,
+            timestamp: fromUnixTime(message.create_time),
+        });
+    }
+
+    return completeConversation({
+        title:    data.title,
+        created:  fromUnixTime(data.create_time),
+        updated:  fromUnixTime(data.update_time),
+        provider: LLMProviders.OPENAI,
+        model:    model,
+        messages: messages,
+    });
+}
+
+/**
+ * Convert one conversation of a Claude.ai export
+ * @param {object} data - Conversation from Claude's conversations.json
+ * @returns {object} - Conversation
+ */
+function convertClaude(data) {
+    const messages = [];
+    for (const message of data.chat_messages) {
+        if (message.sender !== "human" && message.sender !== "assistant") {
+            continue;
+        }
+
+        // Newer exports split the text into content blocks, older ones only have text
+        const blocks = Array.isArray(message.content) ? message.content.filter((block) => block.type === "text") : [];
+        const content = (blocks.length > 0 ? blocks.map((block) => block.text).join("\n") : message.text || "").trim();
+        if (!content) {
+            continue;
+        }
+
+        messages.push({
+            role:      message.sender === "human" ? MessageRoles.USER : MessageRoles.ASSISTANT,
+            content:   content,
+            timestamp: message.created_at || null,
+        });
+    }
+
+    return completeConversation({
+        title:    data.name,
+        created:  data.created_at,
+        updated:  data.updated_at,
+        provider: LLMProviders.ANTHROPIC,
+        model:    data.model || null,
+        messages: messages,
+    });
+}
+
+/**
+ * Read back a conversation written by exportJson. Messages are kept as they
+ * are, including branches, tool calls and results.
+ * @param {object} data - Parsed export
+ * @returns {object} - Conversation
+ */
+function convertGarefowl(data) {
+    const conversation = data.conversation;
+    if (!conversation || !Array.isArray(conversation.messages)) {
+        throw new Error("The export does not contain a conversation");
+    }
+
+    return {
+        title:     conversation.title || createTitle(conversation.messages),
+        created:   conversation.created || data.exported,
+        updated:   conversation.updated || data.exported,
+        provider:  conversation.provider,
+        model:     conversation.model,
+        messages:  conversation.messages,
+        currentId: conversation.currentId,
+    };
+}
+
+/**
+ * Parse an export file from ChatGPT, Claude.ai or Garefowl. ChatGPT and
+ * Claude.ai export a list of conversations; single conversations are
+ * accepted too.
+ * @param {string} text - Contents of the file
+ * @returns {Array<object>} - Conversations without ids, ready for importConversations
+ */
+export function parseImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`The file is not valid JSON: ${e.message}`);
+    }
+
+    if (data?.format === EXPORT_FORMAT) {
+        return [convertGarefowl(data)];
+    }
+
+    const conversations = [];
+    for (const item of Array.isArray(data) ? data : [data]) {
+        if (item?.mapping && item.current_node) {
+            conversations.push(convertChatGPT(item));
+        } else if (Array.isArray(item?.chat_messages)) {
+            conversations.push(convertClaude(item));
+        } else {
+            throw new Error("The file is not a ChatGPT, Claude or Garefowl conversation export");
+        }
+    }
+
+    // Conversations with nothing but attachments or tool output have no text left
+    return conversations.filter((conversation) => conversation.messages.length > 0);
+}
@@ -1,6 +1,193 @@
 import Soup from "gi://Soup";
 import GLib from "gi://GLib";
-import { LLMProviders, MessageRoles, WEB_SEARCH_TOOL, YOUTUBE_SUMMARY_TOOL } from "./constants.js";
+import Gio from "gi://Gio";
+import { LLMProviders, MessageRoles } from "./constants.js";
+import { redact, registerSecret } from "./redact.js";
+
+/**
+ * Drop the entries of a request field map that are not set, so the
+ * provider's own defaults apply
+ * @param {object} fields - Field names mapped to values
+ * @returns {object} - Fields that are not null, undefined or an empty list
+ */
+function withoutUnset(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+        value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+}
+
+// Statuses of rate limits, server errors and Anthropic's "overloaded", which are worth trying again
+const RETRY_STATUSES = [429, 500, 502, 503, 504, 529];
+// Attempts of a request, including the first one
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+// Longest wait before a retry; a provider asking for longer fails the request instead
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Why a provider failed; all but REQUEST mean another provider may still answer
+export const ProviderErrorKinds = {
+    NETWORK: "network",
+    AUTH:    "auth",
+    QUOTA:   "quota",
+    SERVER:  "server",
+    REQUEST: "request",
+};
+
+/**
+ * Error of a request the provider answered with an error status, or did not answer at all
+ */
+export class ProviderError extends Error {
+    /**
+     * Create a provider error
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status, 0 if no response arrived
+     * @param {number|null} retryAfter - Milliseconds the provider asked to wait before trying again, null if it did not say
+     */
+    constructor(message, status = 0, retryAfter = null) {
+        super(message);
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Classify the failure by its status
+     * @returns {string} - One of ProviderErrorKinds
+     */
+    get kind() {
+        if (this.status === 0) {
+            return ProviderErrorKinds.NETWORK;
+        }
+        if (this.status === 401 || this.status === 403) {
+            return ProviderErrorKinds.AUTH;
+        }
+        if (this.status === 402 || this.status === 429) {
+            return ProviderErrorKinds.QUOTA;
+        }
+        return this.status >= 500 ? ProviderErrorKinds.SERVER : ProviderErrorKinds.REQUEST;
+    }
+}
+
+/**
+ * Read how long a provider asks to wait before the next request
+ * @param {Soup.MessageHeaders} headers - Response headers
+ * @returns {number|null} - Wait in milliseconds, null if the response does not say
+ */
+function getRetryAfter(headers) {
+    // OpenAI and Anthropic send the precise wait besides the standard header
+    const milliseconds = parseFloat(headers.get_one("retry-after-ms"));
+    if (Number.isFinite(milliseconds)) {
+        return Math.max(milliseconds, 0);
+    }
+
+    // Retry-After holds either seconds or an HTTP date
+    const value = headers.get_one("retry-after");
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Error types and codes reported inside a stream, mapped to the status they stand for
+const STREAM_ERROR_STATUSES = {
+    overloaded_error:     529,
+    rate_limit_error:     429,
+    rate_limit_exceeded:  429,
+    insufficient_quota:   429,
+    RESOURCE_EXHAUSTED:   429,
+    api_error:            500,
+    server_error:         500,
+    INTERNAL:             500,
+    UNAVAILABLE:          503,
+    authentication_error: 401,
+    invalid_api_key:      401,
+    UNAUTHENTICATED:      401,
+    permission_error:     403,
+    PERMISSION_DENIED:    403,
+};
+
+/**
+ * Find the HTTP status of an error a provider reported inside a stream
+ * that started with 200, such as Anthropic's overloaded_error event
+ * @param {object|string} error - The "error" field of the event
+ * @returns {number|null} - Status, or null if the error does not say
+ */
+function getStreamErrorStatus(error) {
+    // OpenRouter and Gemini put the status in "code", OpenAI a name such as "rate_limit_exceeded"
+    if (Number.isInteger(error.code) && error.code >= 400 && error.code < 600) {
+        return error.code;
+    }
+    for (const name of [error.type, error.code, error.status]) {
+        if (STREAM_ERROR_STATUSES[name]) {
+            return STREAM_ERROR_STATUSES[name];
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide whether and when a failed attempt is tried again
+ * @param {Error} error - Error of the attempt
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @returns {number|null} - Wait in milliseconds, or null to give up
+ */
+function getRetryDelay(error, attempt) {
+    if (!(error instanceof ProviderError) || !RETRY_STATUSES.includes(error.status) || attempt >= MAX_ATTEMPTS) {
+        return null;
+    }
+    if (error.retryAfter !== null) {
+        return error.retryAfter <= MAX_RETRY_DELAY_MS ? Math.round(error.retryAfter) : null;
+    }
+
+    // Exponential backoff, jittered so clients hit by the same outage do not retry in step
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// JSON Schema keywords Gemini accepts in function parameters; others such as "$schema" or "additionalProperties" fail the request
+const GEMINI_SCHEMA_KEYS = [
+    "type", "format", "title", "description", "nullable", "enum", "default", "example",
+    "properties", "required", "propertyOrdering", "minProperties", "maxProperties",
+    "items", "minItems", "maxItems", "minimum", "maximum", "minLength", "maxLength", "pattern", "anyOf",
+];
+
+/**
+ * Reduce a tool's JSON Schema, for example from an MCP server, to the
+ * keywords Gemini accepts
+ * @param {object} schema - JSON Schema of the tool input
+ * @returns {object} - Schema without unsupported keywords, in nested schemas too
+ */
+function toGeminiSchema(schema) {
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema?.[key] === undefined) {
+            continue;
+        }
+        if (key === "properties") {
+            result.properties = Object.fromEntries(Object.entries(schema.properties)
+                .map(([name, property]) => [name, toGeminiSchema(property)]));
+        } else if (key === "items") {
+            result.items = toGeminiSchema(schema.items);
+        } else if (key === "anyOf") {
+            result.anyOf = schema.anyOf.map(toGeminiSchema);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+
+    // A list of types such as ["string", "null"] is written as one type that may be null
+    if (Array.isArray(result.type)) {
+        const types = result.type.filter((type) => type !== "null");
+        if (types.length < result.type.length) {
+            result.nullable = true;
+        }
+        result.type = types[0] || "string";
+    }
+    return result;
+}
 
 /**
  * Base class for LLM providers
@@ -10,13 +197,24 @@ class LLMProvider {
      * Create a base LLM provider
      * @param {string} apiKey - API key for the provider
      * @param {string} model - Model name to use
-     * @param {boolean} enableWebSearch - Whether to enable web search tools
+     * @param {Array<object>} tools - Tool definitions from the ToolRegistry, empty to disable tools
+     * @param {object} options - Provider-specific connection options
+     * @param {string} options.baseUrl - Base URL of the API, for providers that allow changing it
+     * @param {object} options.headers - Extra HTTP headers to send with every request
      */
-    constructor(apiKey, model, enableWebSearch = false) {
+    constructor(apiKey, model, tools = [], options = {}) {
         this._apiKey = apiKey;
         this._model = model;
-        this._enableWebSearch = enableWebSearch;
+        this._tools = tools;
+        this._options = options;
+        this._systemPrompt = "";
+        this._parameters = { temperature: null, maxTokens: null, topP: null, stop: [] };
         this._httpSession = new Soup.Session();
+        // Errors and logs quote URLs, headers and responses; keep the credentials out of them
+        registerSecret(apiKey);
+        for (const value of Object.values(options.headers || {})) {
+            registerSecret(value);
+        }
         // Default timeout for reasoning models
         this._httpSession.timeout = 300; // 5 minutes timeout for reasoning models
     }
@@ -29,6 +227,27 @@ class LLMProvider {
         this._httpSession.timeout = timeoutSeconds;
     }
 
+    /**
+     * Set the instructions sent ahead of the conversation, such as a persona's prompt
+     * @param {string} systemPrompt - System prompt, empty for none
+     */
+    setSystemPrompt(systemPrompt) {
+        this._systemPrompt = systemPrompt || "";
+    }
+
+    /**
+     * Set the generation parameters sent with requests. Parameters left out
+     * or null keep the provider's default.
+     * @param {object} parameters - Parameters as returned by SettingsManager.getGenerationParameters
+     * @param {number|null} parameters.temperature - Sampling temperature
+     * @param {number|null} parameters.maxTokens - Maximum number of tokens to generate
+     * @param {number|null} parameters.topP - Nucleus sampling probability
+     * @param {Array<string>} parameters.stop - Sequences that end the response
+     */
+    setGenerationParameters(parameters) {
+        this._parameters = { ...this._parameters, ...parameters };
+    }
+
     /**
      * Prepare HTTP message for the API request
      * @param {string} url - API endpoint URL
@@ -87,6 +306,30 @@ class LLMProvider {
         return {};
     }
 
+    /**
+     * Get the history to format for a request. When tools are not sent with
+     * the request, tool calls and results are rewritten as plain text because
+     * providers reject tool turns without matching tool definitions.
+     * @param {Array} history - Chat history
+     * @returns {Array} - History ready for _formatMessages
+     */
+    _getRequestHistory(history) {
+        if (this._useTools()) {
+            return history;
+        }
+
+        return history.map((msg) => {
+            if (msg.role === MessageRoles.TOOL) {
+                return { role: MessageRoles.USER, content: `[Result of ${msg.name}]\n\n${msg.content}` };
+            }
+            if (msg.toolCalls?.length) {
+                const calls = msg.toolCalls.map((call) => `[Called ${call.name} with ${JSON.stringify(call.input || {})}]`);
+                return { role: MessageRoles.ASSISTANT, content: [msg.content, ...calls].filter(Boolean).join("\n\n") };
+            }
+            return msg;
+        });
+    }
+
     /**
      * Check if this provider/model supports function calling
      * @returns {boolean} - True if function calling is supported
@@ -95,6 +338,53 @@ class LLMProvider {
         return false; // Override in subclasses
     }
 
+    /**
+     * Check whether tools are sent with requests
+     * @returns {boolean} - True if tools are configured and the model supports them
+     */
+    _useTools() {
+        return this._tools.length > 0 && this.supportsTools();
+    }
+
+    /**
+     * Build the system instructions that describe the available tools
+     * @returns {string} - Tool instructions
+     */
+    _getToolPrompt() {
+        const names = this._tools.map((tool) => tool.name).join(", ");
+        const instructions = this._tools.map((tool) => tool.instructions).filter(Boolean);
+        return [`You have access to these tools: ${names}. Use them when appropriate.`, ...instructions].join(" ");
+    }
+
+    /**
+     * Build the system prompt of a request: the persona's prompt followed by
+     * the tool instructions when tools are sent
+     * @returns {string} - System prompt, empty if there is none
+     */
+    _getSystemPrompt() {
+        const parts = [this._systemPrompt.trim()];
+        if (this._useTools()) {
+            parts.push(this._getToolPrompt());
+        }
+        return parts.filter(Boolean).join("\n\n");
+    }
+
+    /**
+     * Convert the tool definitions into the provider's native format.
+     * Defaults to the OpenAI function format, which most APIs accept.
+     * @returns {Array} - Tools for the request body
+     */
+    _serializeTools() {
+        return this._tools.map((tool) => ({
+            type:     "function",
+            function: {
+                name:        tool.name,
+                description: tool.description,
+                parameters:  tool.input_schema,
+            },
+        }));
+    }
+
     /**
      * Extract tool calls from the response
      * @param {object} response - API response
@@ -105,36 +395,172 @@ class LLMProvider {
     }
 
     /**
-     * Send a request to the LLM API
+     * Get the API endpoint URL for streamed requests
+     * @returns {string} - Endpoint URL
+     */
+    _getStreamEndpointUrl() {
+        return this._getEndpointUrl();
+    }
+
+    /**
+     * Get the wire format of a streamed response
+     * @returns {string} - "sse" for server-sent events, "ndjson" for newline-delimited JSON
+     */
+    _getStreamFormat() {
+        return "sse";
+    }
+
+    /**
+     * Turn on streaming in the request body
+     * @param {object} requestBody - Request body object to modify
+     */
+    _enableStreaming(requestBody) {
+        requestBody.stream = true;
+    }
+
+    /**
+     * Create the state that streamed events are accumulated into
+     * @returns {object} - Stream state; `text` always holds the text received so far
+     */
+    _createStreamState() {
+        return { text: "" };
+    }
+
+    /**
+     * Merge a single streamed event into the stream state
+     * @param {object} state - Stream state
+     * @param {object} event - Parsed stream event
+     */
+    _handleStreamEvent(state, event) {
+        // Implemented by subclasses
+    }
+
+    /**
+     * Build a complete response from the stream state, shaped like a
+     * non-streamed response so _extractResponseText/_extractToolCalls apply
+     * @param {object} state - Stream state
+     * @returns {object} - Response object
+     */
+    _finishStream(state) {
+        // Implemented by subclasses
+        return {};
+    }
+
+    /**
+     * Send a request to the LLM API. Rate limits and server errors are
+     * retried after the wait the provider asks for, or with a growing delay.
+     * @param {Array} history - Chat history
+     * @param {Function} callback - Callback function for the response
+     * @param {object} handlers - Optional handlers
+     * @param {Function} handlers.onChunk - Called with the text received so far; enables streaming
+     * @param {Function} handlers.onRetry - Called with {attempt, maxAttempts, delay, status} before a failed request is sent again, delay in seconds
+     */
+    sendRequest(history, callback, handlers = {}) {
+        // Lets abort() stop the request, streamed or not, and any wait before a retry
+        this._cancellable = new Gio.Cancellable();
+        this._sendAttempt(history, callback, handlers, 1);
+    }
+
+    /**
+     * Send one attempt of a request, and schedule the next one if it fails with a transient error
+     * @param {Array} history - Chat history
+     * @param {Function} callback - Callback function for the response
+     * @param {object} handlers - Handlers passed to sendRequest
+     * @param {number} attempt - Number of this attempt, starting at 1
+     * @private
+     */
+    _sendAttempt(history, callback, handlers, attempt) {
+        const onResult = (error, response) => {
+            const delay = error && !this._cancellable.is_cancelled() ? getRetryDelay(error, attempt) : null;
+            if (delay === null) {
+                callback(error, response);
+                return;
+            }
+
+            console.log(`[LLMProvider] HTTP ${error.status}, retrying in ${delay} ms (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`);
+            handlers.onRetry?.({
+                attempt:     attempt + 1,
+                maxAttempts: MAX_ATTEMPTS,
+                delay:       Math.ceil(delay / 1000),
+                status:      error.status,
+            });
+            this._waitForRetry(delay, (cancelError) => {
+                if (cancelError) {
+                    callback(cancelError, null);
+                    return;
+                }
+                this._sendAttempt(history, callback, handlers, attempt + 1);
+            });
+        };
+
+        if (handlers.onChunk) {
+            this._sendStreamingRequest(history, onResult, handlers.onChunk);
+            return;
+        }
+        this._sendSingleRequest(history, onResult);
+    }
+
+    /**
+     * Wait before a retry, unless the request is aborted first
+     * @param {number} delay - Wait in milliseconds
+     * @param {Function} onDone - Called with null once the wait is over, or with an error when aborted
+     * @private
+     */
+    _waitForRetry(delay, onDone) {
+        const cancellable = this._cancellable;
+        let sourceId = 0;
+        // g_cancellable_connect(), which runs the handler at once if the request is already aborted
+        const handlerId = cancellable.connect(() => {
+            if (sourceId) {
+                GLib.Source.remove(sourceId);
+                sourceId = 0;
+            }
+            onDone(new Error("Request cancelled"));
+        });
+        if (cancellable.is_cancelled()) {
+            return;
+        }
+
+        sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+            sourceId = 0;
+            cancellable.disconnect(handlerId);
+            onDone(null);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Send a request and pass the whole response to the callback
      * @param {Array} history - Chat history
      * @param {Function} callback - Callback function for the response
+     * @private
      */
-    sendRequest(history, callback) {
+    _sendSingleRequest(history, callback) {
         const requestBody = this._generateRequestBody(history);
         const url = this._getEndpointUrl();
         const message = this._prepareRequest(url, requestBody);
 
         // Debug logging
-        console.log(`[LLMProvider] Sending request to: ${url}`);
+        console.log(`[LLMProvider] Sending request to: ${redact(url)}`);
 
         this._httpSession.send_and_read_async(
             message,
             GLib.PRIORITY_DEFAULT,
-            null,
+            this._cancellable,
             (session, result) => {
                 try {
                     let bytes;
                     try {
                         bytes = session.send_and_read_finish(result);
                     } catch (networkError) {
-                        const errMsg = `Network error: ${networkError.message}\nURL: ${url}`;
+                        const errMsg = redact(`Network error: ${networkError.message}\nURL: ${url}`);
                         console.error(`[LLMProvider] Network error: ${errMsg}`);
-                        callback(new Error(errMsg), null);
+                        callback(new ProviderError(errMsg), null);
                         return;
                     }
                     
                     if (!bytes) {
-                        const errMsg = `No response data received\nURL: ${url}`;
+                        const errMsg = redact(`No response data received\nURL: ${url}`);
                         console.error(`[LLMProvider] No data: ${errMsg}`);
                         callback(new Error(errMsg), null);
                         return;
@@ -151,7 +577,7 @@ class LLMProvider {
                         try {
                             json = JSON.parse(raw);
                         } catch (parseError) {
-                            const errMsg = `Failed to parse JSON: ${parseError.message}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}\nRaw: ${raw}`;
+                            const errMsg = redact(`Failed to parse JSON: ${parseError.message}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}\nRaw: ${raw}`);
                             console.error(`[LLMProvider] Parse error: ${errMsg}`);
                             callback(new Error(errMsg), null);
                             return;
@@ -167,12 +593,12 @@ class LLMProvider {
                             console.error(`[LLMProvider] Callback stack: ${callbackError.stack}`);
                         }
                     } else {
-                        const errMsg = `HTTP error ${statusCode}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}\nResponse: ${raw}`;
+                        const errMsg = redact(`HTTP error ${statusCode}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}\nResponse: ${raw}`);
                         console.error(`[LLMProvider] HTTP error: ${errMsg}`);
-                        callback(new Error(errMsg), null);
+                        callback(new ProviderError(errMsg, statusCode, getRetryAfter(message.response_headers)), null);
                     }
                 } catch (error) {
-                    const errMsg = `Exception in response handler: ${error.message}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}`;
+                    const errMsg = redact(`Exception in response handler: ${error.message}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}`);
                     console.error(`[LLMProvider] Exception: ${errMsg}`);
                     callback(new Error(errMsg), null);
                 }
@@ -180,6 +606,162 @@ class LLMProvider {
         );
     }
 
+    /**
+     * Send a streaming request to the LLM API
+     * @param {Array} history - Chat history
+     * @param {Function} callback - Callback function for the complete response
+     * @param {Function} onChunk - Called with the text received so far
+     * @private
+     */
+    _sendStreamingRequest(history, callback, onChunk) {
+        const requestBody = this._generateRequestBody(history);
+        this._enableStreaming(requestBody);
+        const url = this._getStreamEndpointUrl();
+        const message = this._prepareRequest(url, requestBody);
+
+        console.log(`[LLMProvider] Sending streaming request to: ${redact(url)}`);
+
+        this._httpSession.send_async(
+            message,
+            GLib.PRIORITY_DEFAULT,
+            this._cancellable,
+            (session, result) => {
+                let inputStream;
+                try {
+                    inputStream = session.send_finish(result);
+                } catch (networkError) {
+                    const errMsg = redact(`Network error: ${networkError.message}\nURL: ${url}`);
+                    console.error(`[LLMProvider] Network error: ${errMsg}`);
+                    callback(new ProviderError(errMsg), null);
+                    return;
+                }
+
+                const statusCode = message.status_code;
+                console.log(`[LLMProvider] Response status: ${statusCode}`);
+                const reader = Gio.DataInputStream.new(inputStream);
+
+                if (statusCode !== 200) {
+                    const lines = [];
+                    this._readStreamLines(reader, (line) => lines.push(line), () => {
+                        const errMsg = redact(`HTTP error ${statusCode}\nURL: ${url}\nRequest: ${JSON.stringify(requestBody)}\nResponse: ${lines.join("\n")}`);
+                        console.error(`[LLMProvider] HTTP error: ${errMsg}`);
+                        callback(new ProviderError(errMsg, statusCode, getRetryAfter(message.response_headers)), null);
+                    });
+                    return;
+                }
+
+                const state = this._createStreamState();
+                const ndjson = this._getStreamFormat() === "ndjson";
+                let streamError = null;
+
+                const onLine = (line) => {
+                    let payload = line.trim();
+                    if (!ndjson) {
+                        // SSE: only "data:" fields carry events, "event:" names are repeated in the payload
+                        if (!payload.startsWith("data:")) {
+                            return;
+                        }
+                        payload = payload.substring(5).trim();
+                    }
+                    if (!payload || payload === "[DONE]") {
+                        return;
+                    }
+
+                    const event = JSON.parse(payload);
+                    if (event.error) {
+                        streamError = event.error;
+                        return;
+                    }
+
+                    const previousLength = state.text.length;
+                    this._handleStreamEvent(state, event);
+                    if (state.text.length !== previousLength) {
+                        onChunk(state.text);
+                    }
+                };
+
+                this._readStreamLines(reader, onLine, (readError) => {
+                    if (readError) {
+                        const errMsg = redact(`Stream error: ${readError.message}\nURL: ${url}`);
+                        console.error(`[LLMProvider] ${errMsg}`);
+                        callback(new Error(errMsg), null);
+                        return;
+                    }
+                    if (streamError) {
+                        const errMsg = redact(`Provider error: ${streamError.message || JSON.stringify(streamError)}\nURL: ${url}`);
+                        console.error(`[LLMProvider] ${errMsg}`);
+                        // Once output has been shown, trying again or elsewhere would repeat it
+                        const status = state.text ? null : getStreamErrorStatus(streamError);
+                        callback(status ? new ProviderError(errMsg, status) : new Error(errMsg), null);
+                        return;
+                    }
+
+                    console.log(`[LLMProvider] Stream complete, ${state.text.length} chars`);
+                    let response;
+                    try {
+                        response = this._finishStream(state);
+                    } catch (error) {
+                        const errMsg = redact(`Failed to assemble streamed response: ${error.message}\nURL: ${url}`);
+                        console.error(`[LLMProvider] ${errMsg}`);
+                        callback(new Error(errMsg), null);
+                        return;
+                    }
+
+                    try {
+                        callback(null, response);
+                    } catch (callbackError) {
+                        console.error(`[LLMProvider] Error in callback: ${callbackError.message}`);
+                        console.error(`[LLMProvider] Callback stack: ${callbackError.stack}`);
+                    }
+                });
+            }
+        );
+    }
+
+    /**
+     * Read a stream line by line until it ends
+     * @param {Gio.DataInputStream} reader - Stream to read from
+     * @param {Function} onLine - Called for every line
+     * @param {Function} onDone - Called with an error, or null once the stream is exhausted
+     * @private
+     */
+    _readStreamLines(reader, onLine, onDone) {
+        reader.read_line_async(GLib.PRIORITY_DEFAULT, this._cancellable, (stream, result) => {
+            let line;
+            try {
+                [line] = stream.read_line_finish_utf8(result);
+                if (line !== null) {
+                    onLine(line);
+                }
+            } catch (error) {
+                this._closeStream(reader);
+                onDone(error);
+                return;
+            }
+
+            if (line === null) {
+                this._closeStream(reader);
+                onDone(null);
+                return;
+            }
+
+            this._readStreamLines(reader, onLine, onDone);
+        });
+    }
+
+    /**
+     * Close a response stream, ignoring errors
+     * @param {Gio.InputStream} stream - Stream to close
+     * @private
+     */
+    _closeStream(stream) {
+        try {
+            stream.close(null);
+        } catch (e) {
+            // Already closed or cancelled
+        }
+    }
+
     /**
      * Get the API endpoint URL
      * @returns {string} - Endpoint URL
@@ -189,10 +771,71 @@ class LLMProvider {
         return "";
     }
 
+    /**
+     * Get the URL that lists the models available to this account
+     * @returns {string} - Endpoint URL, or an empty string if listing is not supported
+     */
+    _getModelsEndpointUrl() {
+        // Implemented by subclasses
+        return "";
+    }
+
+    /**
+     * Extract model identifiers from a model listing response
+     * @param {object} response - Parsed API response
+     * @returns {Array<string>} - Model identifiers
+     */
+    _extractModelIds(response) {
+        // Implemented by subclasses
+        return [];
+    }
+
+    /**
+     * Fetch the models available from the provider
+     * @param {Function} callback - Callback (error, models) with a sorted array of model identifiers
+     */
+    listModels(callback) {
+        const url = this._getModelsEndpointUrl();
+        const message = url ? Soup.Message.new("GET", url) : null;
+        if (!message) {
+            callback(new Error(`Model listing is not available${url ? ` for URL: ${redact(url)}` : ""}`), null);
+            return;
+        }
+        this._addRequestHeaders(message);
+
+        console.log(`[LLMProvider] Listing models from: ${redact(url)}`);
+
+        this._httpSession.send_and_read_async(
+            message,
+            GLib.PRIORITY_DEFAULT,
+            null,
+            (session, result) => {
+                try {
+                    const bytes = session.send_and_read_finish(result);
+                    const raw = new TextDecoder("utf-8").decode(bytes.get_data());
+                    if (message.status_code !== 200) {
+                        callback(new Error(redact(`HTTP error ${message.status_code}\nURL: ${url}\nResponse: ${raw}`)), null);
+                        return;
+                    }
+                    const models = [...new Set(this._extractModelIds(JSON.parse(raw)))].sort();
+                    console.log(`[LLMProvider] Found ${models.length} models`);
+                    callback(null, models);
+                } catch (error) {
+                    const errMsg = redact(`Model listing failed: ${error.message}\nURL: ${url}`);
+                    console.error(`[LLMProvider] ${errMsg}`);
+                    callback(new Error(errMsg), null);
+                }
+            }
+        );
+    }
+
     /**
      * Abort any ongoing requests
      */
     abort() {
+        if (this._cancellable) {
+            this._cancellable.cancel();
+        }
         if (this._httpSession) {
             this._httpSession.abort();
         }
@@ -218,236 +861,521 @@ class AnthropicProvider extends LLMProvider {
         return "https://api.anthropic.com/v1/messages";
     }
 
+    /**
+     * @inheritdoc
+     */
+    _getModelsEndpointUrl() {
+        return "https://api.anthropic.com/v1/models?limit=1000";
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractModelIds(response) {
+        return (response.data || []).map((model) => model.id);
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _formatMessages(history) {
+        const messages = [];
+
+        for (const msg of this._getRequestHistory(history)) {
+            if (msg.role === MessageRoles.TOOL) {
+                const result = { type: "tool_result", tool_use_id: msg.toolCallId, content: msg.content };
+                const last = messages[messages.length - 1];
+                // Results of parallel calls go back in a single user turn
+                if (last && Array.isArray(last.content) && last.content.every((block) => block.type === "tool_result")) {
+                    last.content.push(result);
+                } else {
+                    messages.push({ role: MessageRoles.USER, content: [result] });
+                }
+            } else if (msg.toolCalls?.length) {
+                const content = msg.content ? [{ type: "text", text: msg.content }] : [];
+                for (const call of msg.toolCalls) {
+                    content.push({ type: "tool_use", id: call.id, name: call.name, input: call.input || {} });
+                }
+                messages.push({ role: MessageRoles.ASSISTANT, content });
+            } else {
+                messages.push({
+                    role:    msg.role === MessageRoles.USER ? MessageRoles.USER : MessageRoles.ASSISTANT,
+                    content: msg.content,
+                });
+            }
+        }
+
+        return messages;
+    }
+
     /**
      * @inheritdoc
      */
     _generateRequestBody(history) {
         const body = {
-            model:    this._model,
-            messages: history.map((msg) => ({
+            model:      this._model,
+            messages:   this._formatMessages(history),
+            max_tokens: this._parameters.maxTokens ?? 4096,
+            ...withoutUnset({
+                // Anthropic accepts temperatures up to 1 only
+                temperature:    this._parameters.temperature === null ? null : Math.min(this._parameters.temperature, 1),
+                // Current models reject top_p together with temperature, which wins when both are set
+                top_p:          this._parameters.temperature === null ? this._parameters.topP : null,
+                stop_sequences: this._parameters.stop,
+            }),
+        };
+
+        const systemPrompt = this._getSystemPrompt();
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+        if (this._useTools()) {
+            body.tools = this._serializeTools();
+        }
+
+        return body;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _serializeTools() {
+        return this._tools.map((tool) => ({
+            name:         tool.name,
+            description:  tool.description,
+            input_schema: tool.input_schema,
+        }));
+    }
+
+    /**
+     * @inheritdoc
+     */
+    supportsTools() {
+        return true;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractToolCalls(response) {
+        if (response.content) {
+            const toolCalls = response.content
+                .filter((block) => block.type === 'tool_use')
+                .map((block) => ({
+                    id: block.id,
+                    name: block.name,
+                    input: block.input
+                }));
+            if (toolCalls.length > 0) {
+                return toolCalls;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractResponseText(response) {
+        if (!response.content || !Array.isArray(response.content)) {
+            console.error('[AnthropicProvider] Invalid response structure');
+            return '';
+        }
+        
+        // Find the first text block in the content array
+        for (const block of response.content) {
+            if (block.type === 'text' && block.text) {
+                return block.text;
+            }
+        }
+        
+        console.error('[AnthropicProvider] No text block found in response');
+        return '';
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _createStreamState() {
+        return { text: "", blocks: [] };
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _handleStreamEvent(state, event) {
+        if (event.type === "content_block_start") {
+            state.blocks[event.index] = { ...event.content_block };
+            if (event.content_block.type === "tool_use") {
+                // Tool input arrives as partial JSON strings
+                state.blocks[event.index].partialJson = "";
+            }
+        } else if (event.type === "content_block_delta") {
+            const block = state.blocks[event.index];
+            if (!block) {
+                return;
+            }
+            if (event.delta.type === "text_delta") {
+                block.text += event.delta.text;
+                state.text += event.delta.text;
+            } else if (event.delta.type === "input_json_delta") {
+                block.partialJson += event.delta.partial_json;
+            }
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _finishStream(state) {
+        const content = state.blocks.filter(Boolean).map((block) => {
+            if (block.type !== "tool_use") {
+                return block;
+            }
+            const { partialJson, ...toolUse } = block;
+            toolUse.input = partialJson ? JSON.parse(partialJson) : {};
+            return toolUse;
+        });
+        return { content };
+    }
+}
+
+/**
+ * Base class for providers speaking the OpenAI chat completions protocol
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @inheritdoc
+     */
+    _addRequestHeaders(message) {
+        if (this._apiKey) {
+            message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _formatMessages(history) {
+        return this._getRequestHistory(history).map((msg) => {
+            if (msg.role === MessageRoles.TOOL) {
+                return { role: MessageRoles.TOOL, tool_call_id: msg.toolCallId, content: msg.content };
+            }
+            if (msg.toolCalls?.length) {
+                return {
+                    role:       MessageRoles.ASSISTANT,
+                    content:    msg.content || null,
+                    tool_calls: msg.toolCalls.map((call) => ({
+                        id:       call.id,
+                        type:     "function",
+                        function: { name: call.name, arguments: JSON.stringify(call.input || {}) },
+                    })),
+                };
+            }
+            return {
                 role:    msg.role === MessageRoles.USER ? MessageRoles.USER : MessageRoles.ASSISTANT,
                 content: msg.content,
-            })),
-            max_tokens: 4096,
+            };
+        });
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _generateRequestBody(history) {
+        const messages = this._formatMessages(history);
+
+        const systemPrompt = this._getSystemPrompt();
+        if (systemPrompt) {
+            messages.unshift({
+                role: "system",
+                content: systemPrompt
+            });
+        }
+
+        const body = {
+            model:    this._model,
+            messages: messages,
+            ...withoutUnset({
+                temperature:                 this._parameters.temperature,
+                [this._getMaxTokensField()]: this._parameters.maxTokens,
+                top_p:                       this._parameters.topP,
+                stop:                        this._parameters.stop,
+            }),
         };
 
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [
-                {
-                    name: WEB_SEARCH_TOOL.name,
-                    description: WEB_SEARCH_TOOL.description,
-                    input_schema: WEB_SEARCH_TOOL.input_schema
-                },
-                {
-                    name: YOUTUBE_SUMMARY_TOOL.name,
-                    description: YOUTUBE_SUMMARY_TOOL.description,
-                    input_schema: YOUTUBE_SUMMARY_TOOL.input_schema
+        if (this._useTools()) {
+            body.tools = this._serializeTools();
+        }
+
+        return body;
+    }
+
+    /**
+     * Get the name of the request field that limits the response length
+     * @returns {string} - Field name
+     */
+    _getMaxTokensField() {
+        return "max_tokens";
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _getModelsEndpointUrl() {
+        // Every chat completions API lists its models next to the chat endpoint
+        return this._getEndpointUrl().replace(/\/chat\/completions$/, "/models");
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractModelIds(response) {
+        return (response.data || []).map((model) => model.id);
+    }
+
+    /**
+     * @inheritdoc
+     */
+    supportsTools() {
+        return true;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractToolCalls(response) {
+        if (response.choices?.[0]?.message?.tool_calls) {
+            return response.choices[0].message.tool_calls.map(tc => ({
+                id: tc.id,
+                name: tc.function.name,
+                input: JSON.parse(tc.function.arguments)
+            }));
+        }
+        return null;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractResponseText(response) {
+        return response.choices[0].message.content;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _createStreamState() {
+        return { text: "", toolCalls: [] };
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _handleStreamEvent(state, event) {
+        const delta = event.choices?.[0]?.delta;
+        if (!delta) {
+            return;
+        }
+
+        if (delta.content) {
+            state.text += delta.content;
+        }
+
+        if (Array.isArray(delta.tool_calls)) {
+            for (const tc of delta.tool_calls) {
+                // Tool calls arrive in fragments keyed by index
+                const index = tc.index ?? state.toolCalls.length;
+                if (!state.toolCalls[index]) {
+                    state.toolCalls[index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+                }
+                const call = state.toolCalls[index];
+                if (tc.id) {
+                    call.id = tc.id;
+                }
+                if (tc.function?.name) {
+                    call.function.name += tc.function.name;
+                }
+                if (tc.function?.arguments) {
+                    call.function.arguments += tc.function.arguments;
                 }
-            ];
-            body.system = "You have access to web_search and youtube_summary tools. Use web_search for real-time info and youtube_summary when user provides YouTube URLs. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data.";
+            }
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _finishStream(state) {
+        const message = { role: MessageRoles.ASSISTANT, content: state.text };
+        const toolCalls = state.toolCalls.filter(Boolean);
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls.map((tc) => ({
+                ...tc,
+                function: { ...tc.function, arguments: tc.function.arguments || "{}" },
+            }));
         }
-
-        return body;
+        return { choices: [{ message }] };
     }
+}
 
+/**
+ * OpenAI API provider
+ */
+class OpenAIProvider extends OpenAICompatibleProvider {
     /**
      * @inheritdoc
      */
-    supportsTools() {
-        return true;
+    _getEndpointUrl() {
+        return "https://api.openai.com/v1/chat/completions";
     }
 
     /**
      * @inheritdoc
      */
-    _extractToolCalls(response) {
-        if (response.content) {
-            for (const block of response.content) {
-                if (block.type === 'tool_use') {
-                    return [{
-                        id: block.id,
-                        name: block.name,
-                        input: block.input
-                    }];
-                }
-            }
-        }
-        return null;
+    _generateRequestBody(history) {
+        return {
+            ...super._generateRequestBody(history),
+            temperature:           this._parameters.temperature ?? 1,
+            max_completion_tokens: this._parameters.maxTokens ?? 4096,
+            top_p:                 this._parameters.topP ?? 1,
+            frequency_penalty:     0,
+            presence_penalty:      0,
+        };
     }
 
     /**
      * @inheritdoc
      */
-    _extractResponseText(response) {
-        if (!response.content || !Array.isArray(response.content)) {
-            console.error('[AnthropicProvider] Invalid response structure');
-            return '';
-        }
-        
-        // Find the first text block in the content array
-        for (const block of response.content) {
-            if (block.type === 'text' && block.text) {
-                return block.text;
-            }
-        }
-        
-        console.error('[AnthropicProvider] No text block found in response');
-        return '';
+    _getMaxTokensField() {
+        // max_tokens is deprecated and rejected by reasoning models
+        return "max_completion_tokens";
     }
 }
 
 /**
- * OpenAI API provider
+ * Google Gemini API provider
  */
-class OpenAIProvider extends LLMProvider {
+class GeminiProvider extends LLMProvider {
     /**
      * @inheritdoc
      */
     _addRequestHeaders(message) {
-        message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
+        // A header rather than the key= parameter, so the key stays out of URLs
+        message.request_headers.append("x-goog-api-key", this._apiKey);
     }
 
     /**
      * @inheritdoc
      */
     _getEndpointUrl() {
-        return "https://api.openai.com/v1/chat/completions";
+        return `https://generativelanguage.googleapis.com/v1beta/models/${this._model}:generateContent`;
     }
 
     /**
      * @inheritdoc
      */
-    _generateRequestBody(history) {
-        const messages = history.map((msg) => ({
-            role:    msg.role === MessageRoles.USER ? MessageRoles.USER : MessageRoles.ASSISTANT,
-            content: msg.content,
-        }));
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            messages.unshift({
-                role: "system",
-                content: "You have web_search and youtube_summary tools. Use them when appropriate. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data."
-            });
-        }
-
-        const body = {
-            model:    this._model,
-            messages: messages,
-            temperature:           1,
-            max_completion_tokens: 4096,
-            top_p:                 1,
-            frequency_penalty:     0,
-            presence_penalty:      0,
-        };
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [
-                {
-                    type: "function",
-                    function: {
-                        name: WEB_SEARCH_TOOL.name,
-                        description: WEB_SEARCH_TOOL.description,
-                        parameters: WEB_SEARCH_TOOL.input_schema
-                    }
-                },
-                {
-                    type: "function",
-                    function: {
-                        name: YOUTUBE_SUMMARY_TOOL.name,
-                        description: YOUTUBE_SUMMARY_TOOL.description,
-                        parameters: YOUTUBE_SUMMARY_TOOL.input_schema
-                    }
-                }
-            ];
-        }
-
-        return body;
+    _getStreamEndpointUrl() {
+        return `https://generativelanguage.googleapis.com/v1beta/models/${this._model}:streamGenerateContent?alt=sse`;
     }
 
     /**
      * @inheritdoc
      */
-    supportsTools() {
-        return true;
+    _getModelsEndpointUrl() {
+        return "https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000";
     }
 
     /**
      * @inheritdoc
      */
-    _extractToolCalls(response) {
-        if (response.choices?.[0]?.message?.tool_calls) {
-            return response.choices[0].message.tool_calls.map(tc => ({
-                id: tc.id,
-                name: tc.function.name,
-                input: JSON.parse(tc.function.arguments)
-            }));
-        }
-        return null;
+    _extractModelIds(response) {
+        // Only chat-capable models, named "models/<id>"
+        return (response.models || [])
+            .filter((model) => (model.supportedGenerationMethods || []).includes("generateContent"))
+            .map((model) => model.name.replace(/^models\//, ""));
     }
 
     /**
      * @inheritdoc
      */
-    _extractResponseText(response) {
-        return response.choices[0].message.content;
+    _enableStreaming(requestBody) {
+        // Streaming is selected by the endpoint, not the body
     }
-}
 
-/**
- * Google Gemini API provider
- */
-class GeminiProvider extends LLMProvider {
     /**
      * @inheritdoc
      */
-    _getEndpointUrl() {
-        return `https://generativelanguage.googleapis.com/v1beta/models/${this._model}:generateContent?key=${this._apiKey}`;
+    _formatMessages(history) {
+        const contents = [];
+
+        for (const msg of this._getRequestHistory(history)) {
+            if (msg.role === MessageRoles.TOOL) {
+                const part = { functionResponse: { name: msg.name, response: { content: msg.content } } };
+                const last = contents[contents.length - 1];
+                // Responses to parallel calls go back in a single turn
+                if (last && last.parts.every((p) => p.functionResponse)) {
+                    last.parts.push(part);
+                } else {
+                    contents.push({ role: MessageRoles.USER, parts: [part] });
+                }
+            } else if (msg.toolCalls?.length) {
+                const parts = msg.content ? [{ text: msg.content }] : [];
+                for (const call of msg.toolCalls) {
+                    parts.push({ functionCall: { name: call.name, args: call.input || {} } });
+                }
+                contents.push({ role: MessageRoles.MODEL, parts });
+            } else {
+                contents.push({
+                    role:  msg.role === MessageRoles.USER ? MessageRoles.USER : MessageRoles.MODEL,
+                    parts: [{ text: msg.content }],
+                });
+            }
+        }
+
+        return contents;
     }
 
     /**
      * @inheritdoc
      */
     _generateRequestBody(history) {
-        const contents = history.map((msg) => ({
-            role:  msg.role === MessageRoles.USER ? MessageRoles.USER : "model",
-            parts: [{ text: msg.content }],
-        }));
-
-        if (this._enableWebSearch && this.supportsTools() && contents.length > 0) {
-            contents[0].parts[0].text = "[SYSTEM: You have web_search and youtube_summary tools. Use them when appropriate. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data.]\n\n" + contents[0].parts[0].text;
-        }
-
         const body = {
-            contents: contents,
+            contents: this._formatMessages(history),
             generationConfig: {
-                temperature:      1,
+                temperature:      this._parameters.temperature ?? 1,
                 topK:             40,
-                topP:             0.95,
-                maxOutputTokens:  8192,
+                topP:             this._parameters.topP ?? 0.95,
+                maxOutputTokens:  this._parameters.maxTokens ?? 8192,
                 responseMimeType: "text/plain",
+                ...withoutUnset({ stopSequences: this._parameters.stop }),
             },
         };
 
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [{
-                function_declarations: [
-                    {
-                        name: WEB_SEARCH_TOOL.name,
-                        description: WEB_SEARCH_TOOL.description,
-                        parameters: WEB_SEARCH_TOOL.input_schema
-                    },
-                    {
-                        name: YOUTUBE_SUMMARY_TOOL.name,
-                        description: YOUTUBE_SUMMARY_TOOL.description,
-                        parameters: YOUTUBE_SUMMARY_TOOL.input_schema
-                    }
-                ]
-            }];
+        const systemPrompt = this._getSystemPrompt();
+        if (systemPrompt) {
+            body.systemInstruction = { parts: [{ text: systemPrompt }] };
+        }
+        if (this._useTools()) {
+            body.tools = this._serializeTools();
         }
 
         return body;
     }
 
+    /**
+     * @inheritdoc
+     */
+    _serializeTools() {
+        return [{
+            function_declarations: this._tools.map((tool) => ({
+                name:        tool.name,
+                description: tool.description,
+                parameters:  toGeminiSchema(tool.input_schema),
+            })),
+        }];
+    }
+
     /**
      * @inheritdoc
      */
@@ -461,14 +1389,16 @@ class GeminiProvider extends LLMProvider {
     _extractToolCalls(response) {
         const candidate = response.candidates?.[0];
         if (candidate?.content?.parts) {
-            for (const part of candidate.content.parts) {
-                if (part.functionCall) {
-                    return [{
-                        id: 'gemini_call',
-                        name: part.functionCall.name,
-                        input: part.functionCall.args
-                    }];
-                }
+            const toolCalls = candidate.content.parts
+                .filter((part) => part.functionCall)
+                .map((part) => ({
+                    // Gemini matches responses by name; ids keep parallel calls apart in the history
+                    id: part.functionCall.id || `gemini_${GLib.uuid_string_random()}`,
+                    name: part.functionCall.name,
+                    input: part.functionCall.args
+                }));
+            if (toolCalls.length > 0) {
+                return toolCalls;
             }
         }
         return null;
@@ -480,169 +1410,90 @@ class GeminiProvider extends LLMProvider {
     _extractResponseText(response) {
         return response.candidates[0].content.parts[0].text;
     }
-}
-
-/**
- * OpenRouter API provider
- */
-class OpenRouterProvider extends LLMProvider {
-    /**
-     * @inheritdoc
-     */
-    _addRequestHeaders(message) {
-        message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
-    }
 
     /**
      * @inheritdoc
      */
-    _getEndpointUrl() {
-        return "https://openrouter.ai/api/v1/chat/completions";
+    _createStreamState() {
+        return { text: "", parts: [] };
     }
 
     /**
      * @inheritdoc
      */
-    _generateRequestBody(history) {
-        const messages = [...history];
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            messages.unshift({
-                role: "system",
-                content: "You have web_search and youtube_summary tools. Use them when appropriate. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data."
-            });
-        }
-
-        const body = {
-            messages: messages,
-            model:    this._model,
-        };
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [
-                {
-                    type: "function",
-                    function: {
-                        name: WEB_SEARCH_TOOL.name,
-                        description: WEB_SEARCH_TOOL.description,
-                        parameters: WEB_SEARCH_TOOL.input_schema
-                    }
-                },
-                {
-                    type: "function",
-                    function: {
-                        name: YOUTUBE_SUMMARY_TOOL.name,
-                        description: YOUTUBE_SUMMARY_TOOL.description,
-                        parameters: YOUTUBE_SUMMARY_TOOL.input_schema
-                    }
+    _handleStreamEvent(state, event) {
+        const parts = event.candidates?.[0]?.content?.parts || [];
+        for (const part of parts) {
+            if (typeof part.text === "string" && !part.thought) {
+                // Merge consecutive text fragments into a single part
+                const last = state.parts[state.parts.length - 1];
+                if (last && typeof last.text === "string") {
+                    last.text += part.text;
+                } else {
+                    state.parts.push({ text: part.text });
                 }
-            ];
+                state.text += part.text;
+            } else if (part.functionCall) {
+                state.parts.push(part);
+            }
         }
-
-        return body;
     }
 
     /**
      * @inheritdoc
      */
-    supportsTools() {
-        // OpenRouter support depends on the model
-        return true;
+    _finishStream(state) {
+        return { candidates: [{ content: { role: "model", parts: state.parts } }] };
     }
+}
 
+/**
+ * OpenRouter API provider
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
     /**
      * @inheritdoc
      */
-    _extractToolCalls(response) {
-        if (response.choices?.[0]?.message?.tool_calls) {
-            return response.choices[0].message.tool_calls.map(tc => ({
-                id: tc.id,
-                name: tc.function.name,
-                input: JSON.parse(tc.function.arguments)
-            }));
-        }
-        return null;
+    _getEndpointUrl() {
+        return "https://openrouter.ai/api/v1/chat/completions";
     }
+}
 
+/**
+ * Groq API provider
+ */
+class GroqProvider extends OpenAICompatibleProvider {
     /**
      * @inheritdoc
      */
-    _extractResponseText(response) {
-        return response.choices[0].message.content;
+    _getEndpointUrl() {
+        return "https://api.groq.com/openai/v1/chat/completions";
     }
 }
 
 /**
- * Groq API provider
+ * Any server exposing an OpenAI-compatible chat completions API
+ * (LM Studio, llama.cpp server, vLLM, LocalAI, internal gateways, ...)
  */
-class GroqProvider extends LLMProvider {
+class CustomOpenAIProvider extends OpenAICompatibleProvider {
+    /**
+     * @inheritdoc
+     */
     _addRequestHeaders(message) {
-        message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
-    }
-
-    _getEndpointUrl() {
-        return "https://api.groq.com/openai/v1/chat/completions";
-    }
-
-    _generateRequestBody(history) {
-        const messages = history.map((msg) => ({
-            role:    msg.role === MessageRoles.USER ? MessageRoles.USER : MessageRoles.ASSISTANT,
-            content: msg.content,
-        }));
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            messages.unshift({
-                role: "system",
-                content: "You have web_search and youtube_summary tools. Use them when appropriate. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data."
-            });
-        }
-
-        const body = {
-            model:    this._model,
-            messages: messages,
-        };
-
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [
-                {
-                    type: "function",
-                    function: {
-                        name: WEB_SEARCH_TOOL.name,
-                        description: WEB_SEARCH_TOOL.description,
-                        parameters: WEB_SEARCH_TOOL.input_schema
-                    }
-                },
-                {
-                    type: "function",
-                    function: {
-                        name: YOUTUBE_SUMMARY_TOOL.name,
-                        description: YOUTUBE_SUMMARY_TOOL.description,
-                        parameters: YOUTUBE_SUMMARY_TOOL.input_schema
-                    }
-                }
-            ];
-        }
-
-        return body;
-    }
-
-    supportsTools() {
-        return true;
-    }
+        // The API key is optional for local servers
+        super._addRequestHeaders(message);
 
-    _extractToolCalls(response) {
-        if (response.choices?.[0]?.message?.tool_calls) {
-            return response.choices[0].message.tool_calls.map(tc => ({
-                id: tc.id,
-                name: tc.function.name,
-                input: JSON.parse(tc.function.arguments)
-            }));
+        for (const [name, value] of Object.entries(this._options.headers || {})) {
+            message.request_headers.append(name, value);
         }
-        return null;
     }
 
-    _extractResponseText(response) {
-        return response.choices[0].message.content;
+    /**
+     * @inheritdoc
+     */
+    _getEndpointUrl() {
+        const baseUrl = (this._options.baseUrl || "").replace(/\/+$/, "");
+        return `${baseUrl}/chat/completions`;
     }
 }
 
@@ -652,31 +1503,75 @@ class GroqProvider extends LLMProvider {
 class OllamaProvider extends LLMProvider {
     _getEndpointUrl() {
         // Use /api/chat for chat-based Ollama API
-        return 'http://127.0.0.1:11434/api/chat';
+        return `${this._getBaseUrl()}/api/chat`;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _getModelsEndpointUrl() {
+        return `${this._getBaseUrl()}/api/tags`;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _extractModelIds(response) {
+        return (response.models || []).map((model) => model.name);
+    }
+
+    /**
+     * Get the configured Ollama server URL without a trailing slash
+     * @returns {string} - Base URL
+     * @private
+     */
+    _getBaseUrl() {
+        return (this._options.baseUrl || 'http://127.0.0.1:11434').replace(/\/+$/, '');
     }
 
     _addRequestHeaders(message) {
-        // No auth required for local Ollama Serve
+        // No auth required for local Ollama Serve, but a reverse proxy may want a token
+        for (const [name, value] of Object.entries(this._options.headers || {})) {
+            message.request_headers.append(name, value);
+        }
     }
 
-    _generateRequestBody(history) {
+    _formatMessages(history) {
         // Only include messages with valid roles and non-empty content
-        const messages = history
-            .filter(msg => msg.role === MessageRoles.USER || msg.role === MessageRoles.ASSISTANT)
-            .map(msg => ({
-                role: msg.role === MessageRoles.USER ? 'user' : 'assistant',
-                content: msg.content || ''
-            }));
+        return this._getRequestHistory(history)
+            .filter((msg) => msg.role === MessageRoles.USER || msg.role === MessageRoles.ASSISTANT || msg.role === MessageRoles.TOOL)
+            .map((msg) => {
+                if (msg.role === MessageRoles.TOOL) {
+                    return { role: 'tool', tool_name: msg.name, content: msg.content || '' };
+                }
+                const message = {
+                    role: msg.role === MessageRoles.USER ? 'user' : 'assistant',
+                    content: msg.content || ''
+                };
+                if (msg.toolCalls?.length) {
+                    // Ollama takes arguments as an object, not a string
+                    message.tool_calls = msg.toolCalls.map((call) => ({
+                        function: { name: call.name, arguments: call.input || {} }
+                    }));
+                }
+                return message;
+            });
+    }
+
+    _generateRequestBody(history) {
+        const messages = this._formatMessages(history);
 
-        if (this._enableWebSearch && this.supportsTools()) {
+        const systemPrompt = this._getSystemPrompt();
+        if (systemPrompt) {
             messages.unshift({
                 role: 'system',
-                content: "You have web_search and youtube_summary tools. Use them when appropriate. When messages contain [WEB SEARCH RESULTS] or [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data."
+                content: systemPrompt
             });
         }
 
-        // Ensure at least one user message exists
-        if (messages.length === 0 || messages[messages.length - 1].role !== 'user') {
+        // Ensure the conversation ends with a user message or tool results
+        const lastRole = messages.length > 0 ? messages[messages.length - 1].role : null;
+        if (lastRole !== 'user' && lastRole !== 'tool') {
             // Fallback: send a dummy user message to avoid 400 error
             messages.push({ role: 'user', content: '' });
         }
@@ -690,28 +1585,20 @@ class OllamaProvider extends LLMProvider {
         const body = { 
             model: this._model, 
             messages,
-            stream: false  // Disable streaming for better compatibility with GNOME extension
+            stream: false  // Streamed requests switch this on in _enableStreaming
         };
 
-        if (this._enableWebSearch && this.supportsTools()) {
-            body.tools = [
-                {
-                    type: "function",
-                    function: {
-                        name: WEB_SEARCH_TOOL.name,
-                        description: WEB_SEARCH_TOOL.description,
-                        parameters: WEB_SEARCH_TOOL.input_schema
-                    }
-                },
-                {
-                    type: "function",
-                    function: {
-                        name: YOUTUBE_SUMMARY_TOOL.name,
-                        description: YOUTUBE_SUMMARY_TOOL.description,
-                        parameters: YOUTUBE_SUMMARY_TOOL.input_schema
-                    }
-                }
-            ];
+        const options = withoutUnset({
+            temperature: this._parameters.temperature,
+            num_predict: this._parameters.maxTokens,
+            top_p:       this._parameters.topP,
+            stop:        this._parameters.stop,
+        });
+        if (Object.keys(options).length > 0) {
+            body.options = options;
+        }
+        if (this._useTools()) {
+            body.tools = this._serializeTools();
         }
 
         return body;
@@ -746,7 +1633,7 @@ class OllamaProvider extends LLMProvider {
                     : tc.function.arguments;
                 console.log(`[OllamaProvider] Tool call: ${tc.function.name}, args: ${JSON.stringify(args)}`);
                 return {
-                    id: tc.id || 'ollama_call',
+                    id: tc.id || `ollama_${GLib.uuid_string_random()}`,
                     name: tc.function.name,
                     input: args
                 };
@@ -784,6 +1671,43 @@ class OllamaProvider extends LLMProvider {
         return '';
     }
 
+    /**
+     * @inheritdoc
+     */
+    _getStreamFormat() {
+        return "ndjson";
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _createStreamState() {
+        return { text: "", toolCalls: [] };
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _handleStreamEvent(state, event) {
+        if (event.message?.content) {
+            state.text += event.message.content;
+        }
+        if (Array.isArray(event.message?.tool_calls)) {
+            state.toolCalls.push(...event.message.tool_calls);
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    _finishStream(state) {
+        const message = { role: MessageRoles.ASSISTANT, content: state.text };
+        if (state.toolCalls.length > 0) {
+            message.tool_calls = state.toolCalls;
+        }
+        return { message };
+    }
+
 }
 
 /**
@@ -794,25 +1718,28 @@ export class LLMProviderFactory {
      * @param {string} providerType - Provider type identifier
      * @param {string} apiKey - API key for the provider
      * @param {string} model - Model to use
-     * @param {boolean} enableWebSearch - Whether to enable web search
+     * @param {Array<object>} tools - Tool definitions to offer the model
+     * @param {object} options - Provider-specific connection options
      * @returns {LLMProvider} - Provider instance
      */
-    static createProvider(providerType, apiKey, model, enableWebSearch = false) {
+    static createProvider(providerType, apiKey, model, tools = [], options = {}) {
         switch (providerType) {
             case LLMProviders.ANTHROPIC:
-                return new AnthropicProvider(apiKey, model, enableWebSearch);
+                return new AnthropicProvider(apiKey, model, tools, options);
             case LLMProviders.OPENAI:
-                return new OpenAIProvider(apiKey, model, enableWebSearch);
+                return new OpenAIProvider(apiKey, model, tools, options);
             case LLMProviders.GEMINI:
-                return new GeminiProvider(apiKey, model, enableWebSearch);
+                return new GeminiProvider(apiKey, model, tools, options);
             case LLMProviders.OPENROUTER:
-                return new OpenRouterProvider(apiKey, model, enableWebSearch);
+                return new OpenRouterProvider(apiKey, model, tools, options);
             case LLMProviders.OLLAMA:
-                return new OllamaProvider(apiKey, model, enableWebSearch);
+                return new OllamaProvider(apiKey, model, tools, options);
             case LLMProviders.GROQ:
-                return new GroqProvider(apiKey, model, enableWebSearch);
+                return new GroqProvider(apiKey, model, tools, options);
+            case LLMProviders.CUSTOM_OPENAI:
+                return new CustomOpenAIProvider(apiKey, model, tools, options);
             default:
-                return new AnthropicProvider(apiKey, model, enableWebSearch);
+                return new AnthropicProvider(apiKey, model, tools, options);
         }
     }
 }
@@ -825,4 +1752,6 @@ export {
     OpenRouterProvider,
     OllamaProvider,
     GroqProvider,
+    OpenAICompatibleProvider,
+    CustomOpenAIProvider,
 };
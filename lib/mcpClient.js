@@ -0,0 +1,382 @@
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import { redact } from "./redact.js";
+
+const PROTOCOL_VERSION = "2025-06-18";
+const REQUEST_TIMEOUT_SECONDS = 120;
+
+/**
+ * Client for a Model Context Protocol server that talks JSON-RPC over stdio
+ */
+export class MCPClient {
+    /**
+     * Create an MCP client
+     * @param {string} name - Server name from the settings
+     * @param {Array<string>} argv - Command and arguments that start the server
+     */
+    constructor(name, argv) {
+        this.name = name;
+        this._argv = argv;
+        this._process = null;
+        this._stdin = null;
+        this._stdout = null;
+        this._cancellable = null;
+        this._nextId = 1;
+        this._pending = new Map();
+        this._writeQueue = [];
+        this._writing = false;
+    }
+
+    /**
+     * Spawn the server, perform the handshake and list its tools
+     * @param {Function} callback - Callback (error, tools)
+     */
+    start(callback) {
+        try {
+            this._process = Gio.Subprocess.new(
+                this._argv,
+                Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE
+            );
+        } catch (e) {
+            callback(new Error(`Could not start MCP server "${this.name}": ${e.message}`), null);
+            return;
+        }
+
+        this._cancellable = new Gio.Cancellable();
+        this._stdin = this._process.get_stdin_pipe();
+        this._stdout = new Gio.DataInputStream({
+            base_stream:       this._process.get_stdout_pipe(),
+            close_base_stream: true,
+        });
+        this._readMessages();
+
+        this._process.wait_async(this._cancellable, () => {
+            console.log(`[MCP] Server "${this.name}" exited`);
+            this._failPending(new Error(`MCP server "${this.name}" exited`));
+            this._process = null;
+        });
+
+        this._request("initialize", {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities:    {},
+            clientInfo:      { name: "garefowl", version: "1.0" },
+        }, (error, result) => {
+            if (error) {
+                callback(error, null);
+                return;
+            }
+
+            console.log(`[MCP] Connected to "${this.name}" (${result.serverInfo?.name || "unknown"}, protocol ${result.protocolVersion})`);
+            this._notify("notifications/initialized");
+            this._listTools(null, [], callback);
+        });
+    }
+
+    /**
+     * Call a tool on the server
+     * @param {string} name - Tool name as reported by the server
+     * @param {object} args - Tool arguments
+     * @param {Function} callback - Callback (error, text)
+     * @param {Gio.Cancellable} cancellable - Optional cancellable that abandons the call
+     */
+    callTool(name, args, callback, cancellable = null) {
+        let cancelId = 0;
+        const id = this._request("tools/call", { name, arguments: args }, (error, result) => {
+            // Not from inside the cancelled handler, which would deadlock
+            if (cancellable && !cancellable.is_cancelled()) {
+                cancellable.disconnect(cancelId);
+            }
+            if (error) {
+                callback(error, null);
+                return;
+            }
+
+            const text = (result.content || [])
+                .map((part) => part.type === "text" ? part.text : `[${part.type} content]`)
+                .join("\n");
+
+            if (result.isError) {
+                callback(new Error(text || "Tool call failed"), null);
+                return;
+            }
+            callback(null, text);
+        });
+
+        // Gio.Cancellable.connect() is g_cancellable_connect(), not the signal connect()
+        cancelId = cancellable?.connect(() => this._cancelRequest(id, "Cancelled by the user")) ?? 0;
+    }
+
+    /**
+     * Stop the server and fail any requests still waiting for an answer
+     */
+    stop() {
+        this._failPending(new Error(`MCP server "${this.name}" stopped`));
+
+        if (this._cancellable) {
+            this._cancellable.cancel();
+            this._cancellable = null;
+        }
+        if (this._process) {
+            this._process.force_exit();
+            this._process = null;
+        }
+    }
+
+    /**
+     * Fetch every page of the server's tool list
+     * @param {string|null} cursor - Cursor of the page to fetch
+     * @param {Array<object>} tools - Tools collected so far
+     * @param {Function} callback - Callback (error, tools)
+     * @private
+     */
+    _listTools(cursor, tools, callback) {
+        this._request("tools/list", cursor ? { cursor } : {}, (error, result) => {
+            if (error) {
+                callback(error, null);
+                return;
+            }
+
+            tools.push(...(result.tools || []));
+            if (result.nextCursor) {
+                this._listTools(result.nextCursor, tools, callback);
+            } else {
+                callback(null, tools);
+            }
+        });
+    }
+
+    /**
+     * Send a JSON-RPC request
+     * @param {string} method - Method name
+     * @param {object} params - Method parameters
+     * @param {Function} callback - Callback (error, result)
+     * @returns {number} - Request id
+     * @private
+     */
+    _request(method, params, callback) {
+        const id = this._nextId++;
+        const timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, REQUEST_TIMEOUT_SECONDS, () => {
+            this._pending.delete(id);
+            callback(new Error(`MCP server "${this.name}" did not answer ${method} in time`), null);
+            return GLib.SOURCE_REMOVE;
+        });
+
+        this._pending.set(id, { callback, timeoutId });
+        this._write({ jsonrpc: "2.0", id, method, params });
+        return id;
+    }
+
+    /**
+     * Give up on a request and tell the server it can stop working on it
+     * @param {number} id - Request id
+     * @param {string} reason - Reason sent to the server
+     * @private
+     */
+    _cancelRequest(id, reason) {
+        const pending = this._pending.get(id);
+        if (!pending) {
+            return;
+        }
+
+        this._pending.delete(id);
+        GLib.Source.remove(pending.timeoutId);
+        this._notify("notifications/cancelled", { requestId: id, reason });
+        pending.callback(new Error(reason), null);
+    }
+
+    /**
+     * Send a JSON-RPC notification
+     * @param {string} method - Method name
+     * @param {object} params - Method parameters
+     * @private
+     */
+    _notify(method, params = {}) {
+        this._write({ jsonrpc: "2.0", method, params });
+    }
+
+    /**
+     * Queue a message for the server; the stdio transport is one JSON object per line
+     * @param {object} message - JSON-RPC message
+     * @private
+     */
+    _write(message) {
+        this._writeQueue.push(new TextEncoder().encode(JSON.stringify(message) + "\n"));
+        this._flushWrites();
+    }
+
+    /**
+     * Write queued messages one at a time, as a stream allows only one pending write
+     * @private
+     */
+    _flushWrites() {
+        if (this._writing || this._writeQueue.length === 0 || !this._stdin) {
+            return;
+        }
+
+        this._writing = true;
+        const data = this._writeQueue.shift();
+        this._stdin.write_all_async(data, GLib.PRIORITY_DEFAULT, this._cancellable, (stream, res) => {
+            this._writing = false;
+            try {
+                stream.write_all_finish(res);
+            } catch (e) {
+                console.error(`[MCP] Failed to write to "${this.name}": ${e.message}`);
+                this._failPending(e);
+                return;
+            }
+            this._flushWrites();
+        });
+    }
+
+    /**
+     * Read messages from the server until its output closes
+     * @private
+     */
+    _readMessages() {
+        this._stdout.read_line_async(GLib.PRIORITY_DEFAULT, this._cancellable, (stream, res) => {
+            let line;
+            try {
+                [line] = stream.read_line_finish_utf8(res);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.error(`[MCP] Failed to read from "${this.name}": ${e.message}`);
+                }
+                return;
+            }
+
+            if (line === null) {
+                return;
+            }
+
+            this._handleLine(line.trim());
+            this._readMessages();
+        });
+    }
+
+    /**
+     * Dispatch one line of server output
+     * @param {string} line - Line of output
+     * @private
+     */
+    _handleLine(line) {
+        if (!line) {
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            console.log(`[MCP] Ignoring non-JSON output from "${this.name}": ${line.substring(0, 200)}`);
+            return;
+        }
+
+        const pending = message.id !== undefined && !message.method ? this._pending.get(message.id) : null;
+        if (!pending) {
+            // Notifications and server-to-client requests are not supported
+            return;
+        }
+
+        this._pending.delete(message.id);
+        GLib.Source.remove(pending.timeoutId);
+
+        if (message.error) {
+            pending.callback(new Error(`MCP error ${message.error.code}: ${message.error.message}`), null);
+        } else {
+            pending.callback(null, message.result || {});
+        }
+    }
+
+    /**
+     * Fail all requests waiting for an answer
+     * @param {Error} error - Error passed to their callbacks
+     * @private
+     */
+    _failPending(error) {
+        for (const pending of this._pending.values()) {
+            GLib.Source.remove(pending.timeoutId);
+            pending.callback(error, null);
+        }
+        this._pending.clear();
+    }
+}
+
+/**
+ * Starts the configured MCP servers and registers their tools in a ToolRegistry
+ */
+export class MCPServerManager {
+    /**
+     * Create an MCP server manager
+     * @param {ToolRegistry} toolRegistry - Registry that receives the servers' tools
+     */
+    constructor(toolRegistry) {
+        this._toolRegistry = toolRegistry;
+        this._clients = [];
+        this._toolNames = [];
+    }
+
+    /**
+     * Start the given servers, stopping any that were running before
+     * @param {Array<object>} servers - Servers from SettingsManager.getMCPServers
+     */
+    start(servers) {
+        this.stop();
+
+        for (const server of servers) {
+            const client = new MCPClient(server.name, server.argv);
+            this._clients.push(client);
+
+            client.start((error, tools) => {
+                if (error) {
+                    console.error(`[MCP] ${redact(error.message)}`);
+                    return;
+                }
+                if (!this._clients.includes(client)) {
+                    return; // Stopped while starting
+                }
+
+                console.log(`[MCP] "${server.name}" offers ${tools.length} tools`);
+                for (const tool of tools) {
+                    this._registerTool(client, tool);
+                }
+            });
+        }
+    }
+
+    /**
+     * Stop all servers and remove their tools from the registry
+     */
+    stop() {
+        for (const name of this._toolNames) {
+            this._toolRegistry.unregister(name);
+        }
+        this._toolNames = [];
+
+        for (const client of this._clients) {
+            client.stop();
+        }
+        this._clients = [];
+    }
+
+    /**
+     * Register one server tool, prefixing its name with the server name
+     * @param {MCPClient} client - Client of the server that offers the tool
+     * @param {object} tool - Tool from tools/list
+     * @private
+     */
+    _registerTool(client, tool) {
+        // Providers only accept [a-zA-Z0-9_-] in tool names, up to 64 characters
+        const name = `${client.name}__${tool.name}`.replace(/[^a-zA-Z0-9_-]/g, "_").substring(0, 64);
+
+        this._toolRegistry.register({
+            name:         name,
+            description:  tool.description || `${tool.name} from the ${client.name} MCP server`,
+            input_schema: tool.inputSchema || { type: "object", properties: {} },
+            label:        `${client.name}: ${tool.name}`,
+            progressText: () => `🔧 Running ${tool.name} on ${client.name}...`,
+            doneText:     () => `🔧 Ran ${tool.name} on ${client.name}`,
+            handler:      (input, callback, cancellable) => client.callTool(tool.name, input, callback, cancellable),
+        });
+        this._toolNames.push(name);
+    }
+}
@@ -0,0 +1,200 @@
+import Gtk from "gi://Gtk";
+import GLib from "gi://GLib";
+
+/**
+ * Get the path of the model list cache file for a provider
+ * @param {string} provider - Provider type
+ * @returns {string} - Cache file path
+ */
+function getCachePath(provider) {
+    return GLib.build_filenamev([GLib.get_user_cache_dir(), "garefowl", "models", `${provider}.json`]);
+}
+
+/**
+ * Load the cached model list for a provider
+ * @param {string} provider - Provider type
+ * @returns {Array<string>} - Cached model identifiers, empty if nothing is cached
+ */
+function loadCachedModels(provider) {
+    try {
+        const [success, contents] = GLib.file_get_contents(getCachePath(provider));
+        if (success) {
+            const cache = JSON.parse(new TextDecoder("utf-8").decode(contents));
+            return Array.isArray(cache.models) ? cache.models : [];
+        }
+    } catch (e) {
+        // No cache yet
+    }
+    return [];
+}
+
+/**
+ * Store the model list for a provider in the cache
+ * @param {string} provider - Provider type
+ * @param {Array<string>} models - Model identifiers
+ */
+function saveCachedModels(provider, models) {
+    try {
+        const path = getCachePath(provider);
+        GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o700);
+        GLib.file_set_contents(path, JSON.stringify({ fetched: new Date().toISOString(), models }));
+    } catch (e) {
+        console.error(`[ModelChooser] Failed to cache models for ${provider}: ${e.message}`);
+    }
+}
+
+/**
+ * Model entry with a searchable dropdown of the models a provider offers.
+ * The entry stays editable, so any model name can still be typed in.
+ */
+export class ModelChooser {
+    /**
+     * Create a model chooser
+     * @param {string} provider - Provider type, used as the cache key
+     * @param {Function} fetchModels - Called with a callback (error, models) to query the provider
+     */
+    constructor(provider, fetchModels) {
+        this._provider = provider;
+        this._fetchModels = fetchModels;
+        this._loaded = false;
+
+        this.entry = new Gtk.Entry({
+            buffer:      new Gtk.EntryBuffer(),
+            hexpand:     true,
+            width_chars: 30,
+        });
+
+        this._searchEntry = new Gtk.SearchEntry({
+            placeholder_text: "Search models",
+        });
+        this._searchEntry.connect("search-changed", () => this._list.invalidate_filter());
+
+        this._list = new Gtk.ListBox({
+            selection_mode:           Gtk.SelectionMode.NONE,
+            activate_on_single_click: true,
+        });
+        this._list.set_filter_func((row) => {
+            const query = this._searchEntry.get_text().toLowerCase();
+            return !query || row.get_child().get_label().toLowerCase().includes(query);
+        });
+        this._list.connect("row-activated", (list, row) => {
+            this.entry.set_text(row.get_child().get_label());
+            this._popover.popdown();
+        });
+
+        const scrolled = new Gtk.ScrolledWindow({
+            child:                    this._list,
+            min_content_height:       200,
+            max_content_height:       300,
+            propagate_natural_height: true,
+            hscrollbar_policy:        Gtk.PolicyType.NEVER,
+        });
+
+        this._statusLabel = new Gtk.Label({
+            halign:          Gtk.Align.START,
+            hexpand:         true,
+            wrap:            true,
+            max_width_chars: 40,
+        });
+
+        const refreshButton = new Gtk.Button({
+            icon_name:    "view-refresh-symbolic",
+            tooltip_text: "Fetch the model list again using the saved API key",
+        });
+        refreshButton.connect("clicked", () => this._refresh());
+
+        const footer = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing:     6,
+        });
+        footer.append(this._statusLabel);
+        footer.append(refreshButton);
+
+        const popoverBox = new Gtk.Box({
+            orientation:   Gtk.Orientation.VERTICAL,
+            spacing:       6,
+            width_request: 320,
+        });
+        popoverBox.append(this._searchEntry);
+        popoverBox.append(scrolled);
+        popoverBox.append(footer);
+
+        this._popover = new Gtk.Popover({ child: popoverBox });
+        this._popover.connect("show", () => this._onPopoverShown());
+
+        const menuButton = new Gtk.MenuButton({
+            icon_name:    "pan-down-symbolic",
+            tooltip_text: "Choose from the models available to your account",
+            popover:      this._popover,
+        });
+
+        this.widget = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing:     4,
+            hexpand:     true,
+        });
+        this.widget.append(this.entry);
+        this.widget.append(menuButton);
+    }
+
+    /**
+     * Fill the list the first time the dropdown opens, from cache if possible
+     * @private
+     */
+    _onPopoverShown() {
+        this._searchEntry.set_text("");
+        this._searchEntry.grab_focus();
+
+        if (this._loaded) {
+            return;
+        }
+
+        const cached = loadCachedModels(this._provider);
+        if (cached.length > 0) {
+            this._setModels(cached);
+            this._statusLabel.set_label(`${cached.length} models (cached)`);
+        } else {
+            this._refresh();
+        }
+    }
+
+    /**
+     * Query the provider for its models and update the cache
+     * @private
+     */
+    _refresh() {
+        this._statusLabel.set_label("Loading models...");
+
+        this._fetchModels((error, models) => {
+            if (error) {
+                console.error(`[ModelChooser] ${error.message}`);
+                this._statusLabel.set_label(`Could not load models: ${error.message.split("\n")[0]}`);
+                return;
+            }
+
+            saveCachedModels(this._provider, models);
+            this._setModels(models);
+            this._statusLabel.set_label(`${models.length} models`);
+        });
+    }
+
+    /**
+     * Replace the rows of the dropdown list
+     * @param {Array<string>} models - Model identifiers
+     * @private
+     */
+    _setModels(models) {
+        this._list.remove_all();
+        for (const model of models) {
+            this._list.append(new Gtk.Label({
+                label:         model,
+                halign:        Gtk.Align.START,
+                margin_top:    4,
+                margin_bottom: 4,
+                margin_start:  6,
+                margin_end:    6,
+            }));
+        }
+        this._loaded = true;
+    }
+}
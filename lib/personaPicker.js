@@ -0,0 +1,110 @@
+import St from "gi://St";
+import Clutter from "gi://Clutter";
+import { CSS } from "./constants.js";
+import { hideTooltip, showTooltip } from "./tooltip.js";
+
+/**
+ * Button next to the chat input that shows the active persona, with a list
+ * above the input to pick another one. Personas are defined in the preferences.
+ */
+export class PersonaPicker {
+    /**
+     * Create a persona picker
+     * @param {SettingsManager} settingsManager - Settings holding the personas
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+
+        this._nameLabel = new St.Label({
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        const buttonBox = new St.BoxLayout({ vertical: false });
+        buttonBox.add_child(new St.Icon({
+            icon_name: "avatar-default-symbolic",
+            style:     "width: 16px; height: 16px; margin-right: 4px;",
+        }));
+        buttonBox.add_child(this._nameLabel);
+
+        this.button = new St.Button({
+            child:       buttonBox,
+            style_class: CSS.PERSONA_BUTTON,
+        });
+        this.button.connect("clicked", () => this._setExpanded(!this.actor.visible));
+        this.button.connect("enter-event", () => {
+            showTooltip("Choose persona");
+        });
+        this.button.connect("leave-event", () => {
+            hideTooltip();
+        });
+
+        this._list = new St.BoxLayout({ vertical: true });
+        this.actor = new St.BoxLayout({
+            vertical:    true,
+            visible:     false,
+            style_class: CSS.PERSONA_LIST,
+        });
+        this.actor.add_child(this._list);
+
+        this.refresh();
+    }
+
+    /**
+     * Rebuild the button and list from the settings. The button is hidden
+     * while no personas are defined.
+     */
+    refresh() {
+        const personas = this._settingsManager.getPersonas();
+        const active = this._settingsManager.getActivePersona();
+
+        this.button.visible = personas.length > 0;
+        this._nameLabel.set_text(active ? active.name : "Default");
+
+        this._list.destroy_all_children();
+        this._list.add_child(this._createRow("Default", "", !active));
+        for (const persona of personas) {
+            this._list.add_child(this._createRow(persona.name, persona.id, persona.id === active?.id));
+        }
+    }
+
+    /**
+     * Hide the persona list
+     */
+    collapse() {
+        this._setExpanded(false);
+    }
+
+    /**
+     * Show or hide the persona list
+     * @param {boolean} expanded - Whether the list is shown
+     * @private
+     */
+    _setExpanded(expanded) {
+        this.actor.visible = expanded;
+    }
+
+    /**
+     * Create the list row of a persona
+     * @param {string} name - Persona name
+     * @param {string} id - Persona id, empty for no persona
+     * @param {boolean} isActive - Whether it is the active persona
+     * @returns {St.Button} - The row
+     * @private
+     */
+    _createRow(name, id, isActive) {
+        const row = new St.Button({
+            child: new St.Label({
+                text:  name,
+                style: isActive ? "font-weight: bold;" : "",
+            }),
+            x_expand:    true,
+            x_align:     Clutter.ActorAlign.FILL,
+            style_class: CSS.CONVERSATION_ROW,
+        });
+        row.connect("clicked", () => {
+            this.collapse();
+            // The settings change listener refreshes the picker
+            this._settingsManager.setActivePersonaId(id);
+        });
+        return row;
+    }
+}
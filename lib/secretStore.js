@@ -0,0 +1,131 @@
+// Settings hold this prefix and the provider instead of a key kept in the keyring
+export const KEYRING_PREFIX = "keyring:";
+
+const UNAVAILABLE_MESSAGE = "libsecret is not installed, so API keys cannot be kept in the keyring. " +
+    "Install the GObject introspection data for libsecret (e.g. gir1.2-secret-1 or libsecret) and log in again.";
+
+// Imported here rather than at the top, so a missing typelib does not stop the extension or its preferences from loading
+let Secret = null;
+try {
+    Secret = (await import("gi://Secret")).default;
+} catch (e) {
+    console.error(`[SecretStore] ${UNAVAILABLE_MESSAGE} (${e.message})`);
+}
+
+const SECRET_SCHEMA = Secret ? new Secret.Schema(
+    "org.gnome.shell.extensions.garefowl-ai-chatbot",
+    Secret.SchemaFlags.NONE,
+    { provider: Secret.SchemaAttributeType.STRING },
+) : null;
+
+/**
+ * Check whether the keyring can be used
+ * @returns {boolean} - False if libsecret could not be loaded
+ */
+export function isKeyringAvailable() {
+    return Secret !== null;
+}
+
+/**
+ * Check whether a settings value refers to a key in the keyring
+ * @param {string} value - Value of an API key setting
+ * @returns {boolean} - True for a keyring reference, false for a plain key or an empty value
+ */
+export function isKeyringReference(value) {
+    return value.startsWith(KEYRING_PREFIX);
+}
+
+/**
+ * Build the settings value that refers to a provider's key in the keyring
+ * @param {string} provider - Provider type
+ * @returns {string} - Reference such as "keyring:openai"
+ */
+export function getKeyringReference(provider) {
+    return `${KEYRING_PREFIX}${provider}`;
+}
+
+/**
+ * API keys kept in the user's keyring through the Secret Service. Lookups
+ * are asynchronous, so keys are read into a cache that callers read from.
+ */
+export class SecretStore {
+    /**
+     * Create a secret store with an empty cache
+     */
+    constructor() {
+        this._keys = new Map();
+    }
+
+    /**
+     * Get a provider's key from the cache
+     * @param {string} provider - Provider type
+     * @returns {string} - API key, empty if it is not loaded or not stored
+     */
+    get(provider) {
+        return this._keys.get(provider) || "";
+    }
+
+    /**
+     * Read the keys of providers from the keyring into the cache. Without
+     * libsecret the cache stays empty.
+     * @param {Array<string>} providers - Provider types
+     * @param {Function} callback - Called once every lookup has finished
+     */
+    load(providers, callback) {
+        let pending = providers.length;
+        if (pending === 0 || !isKeyringAvailable()) {
+            callback();
+            return;
+        }
+
+        for (const provider of providers) {
+            Secret.password_lookup(SECRET_SCHEMA, { provider }, null, (source, result) => {
+                try {
+                    this._keys.set(provider, Secret.password_lookup_finish(result) || "");
+                } catch (e) {
+                    console.error(`[SecretStore] Failed to read the ${provider} API key: ${e.message}`);
+                }
+                if (--pending === 0) {
+                    callback();
+                }
+            });
+        }
+    }
+
+    /**
+     * Store a provider's key in the keyring, or remove it when the key is empty
+     * @param {string} provider - Provider type
+     * @param {string} apiKey - API key
+     * @param {Function} callback - Callback (error)
+     */
+    store(provider, apiKey, callback) {
+        if (!isKeyringAvailable()) {
+            callback(new Error(UNAVAILABLE_MESSAGE));
+            return;
+        }
+
+        if (!apiKey) {
+            Secret.password_clear(SECRET_SCHEMA, { provider }, null, (source, result) => {
+                try {
+                    Secret.password_clear_finish(result);
+                    this._keys.delete(provider);
+                    callback(null);
+                } catch (e) {
+                    callback(e);
+                }
+            });
+            return;
+        }
+
+        const label = `Garefowl AI Chatbot: ${provider} API key`;
+        Secret.password_store(SECRET_SCHEMA, { provider }, Secret.COLLECTION_DEFAULT, label, apiKey, null, (source, result) => {
+            try {
+                Secret.password_store_finish(result);
+                this._keys.set(provider, apiKey);
+                callback(null);
+            } catch (e) {
+                callback(e);
+            }
+        });
+    }
+}
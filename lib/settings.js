@@ -1,4 +1,105 @@
+import GLib from "gi://GLib";
 import { SettingsKeys, LLMProviders } from "./constants.js";
+import { SecretStore, getKeyringReference, isKeyringAvailable, isKeyringReference } from "./secretStore.js";
+
+// Settings holding each provider's API key, or a reference to it in the keyring
+const API_KEY_SETTINGS = {
+    [LLMProviders.ANTHROPIC]:     SettingsKeys.ANTHROPIC_API_KEY,
+    [LLMProviders.OPENAI]:        SettingsKeys.OPENAI_API_KEY,
+    [LLMProviders.GEMINI]:        SettingsKeys.GEMINI_API_KEY,
+    [LLMProviders.OPENROUTER]:    SettingsKeys.OPENROUTER_API_KEY,
+    [LLMProviders.GROQ]:          SettingsKeys.GROQ_API_KEY,
+    [LLMProviders.CUSTOM_OPENAI]: SettingsKeys.CUSTOM_OPENAI_API_KEY,
+};
+
+/**
+ * Parse "Name: value" header lines into a header object
+ * @param {Array<string>} lines - Header lines
+ * @returns {object} - Header names mapped to values
+ */
+export function parseHeaders(lines) {
+    const headers = {};
+    for (const line of lines) {
+        const separator = line.indexOf(":");
+        if (separator <= 0) {
+            continue;
+        }
+        const name = line.substring(0, separator).trim();
+        const value = line.substring(separator + 1).trim();
+        if (name) {
+            headers[name] = value;
+        }
+    }
+    return headers;
+}
+
+/**
+ * Parse "name=command args" lines into MCP server definitions
+ * @param {Array<string>} lines - Server lines
+ * @returns {Array<object>} - Servers with a name and the argv to start them
+ */
+export function parseMCPServers(lines) {
+    const servers = [];
+    for (const line of lines) {
+        const separator = line.indexOf("=");
+        if (separator <= 0) {
+            continue;
+        }
+        const name = line.substring(0, separator).trim();
+        try {
+            const [, argv] = GLib.shell_parse_argv(line.substring(separator + 1).trim());
+            servers.push({ name, argv });
+        } catch (e) {
+            console.error(`[Settings] Invalid command for MCP server "${name}": ${e.message}`);
+        }
+    }
+    return servers;
+}
+
+/**
+ * Parse "provider" or "provider=model" lines into fallback providers
+ * @param {Array<string>} lines - Fallback lines
+ * @returns {Array<{provider: string, model: string}>} - Providers in order, the model empty for the provider's configured one
+ */
+export function parseFallbackProviders(lines) {
+    const fallbacks = [];
+    for (const line of lines) {
+        // Split at the first "=" only, model names of gateways may contain more
+        const separator = line.indexOf("=");
+        const provider = (separator < 0 ? line : line.substring(0, separator)).trim();
+        if (!Object.values(LLMProviders).includes(provider)) {
+            console.error(`[Settings] Unknown fallback provider "${provider}"`);
+            continue;
+        }
+        fallbacks.push({ provider, model: separator < 0 ? "" : line.substring(separator + 1).trim() });
+    }
+    return fallbacks;
+}
+
+// Accepted ranges of the generation parameters; most providers reject values outside them
+export const GenerationLimits = {
+    MAX_TEMPERATURE: 2,
+    MAX_TOKENS:      1000000,
+    MAX_STOP:        4, // OpenAI accepts no more than four stop sequences
+};
+
+/**
+ * Validate saved generation parameters. Values that are missing or out of
+ * range become null, meaning the provider's default is used.
+ * @param {object} parameters - Parameters of one provider, as saved
+ * @returns {object} - Parameters with temperature, maxTokens, topP and stop
+ */
+export function parseGenerationParameters(parameters) {
+    parameters = parameters || {};
+    const inRange = (value, min, max) => (typeof value === "number" && value >= min && value <= max ? value : null);
+    const stop = Array.isArray(parameters.stop) ? parameters.stop : [];
+    return {
+        temperature: inRange(parameters.temperature, 0, GenerationLimits.MAX_TEMPERATURE),
+        maxTokens:   Number.isInteger(parameters.maxTokens) ? inRange(parameters.maxTokens, 1, GenerationLimits.MAX_TOKENS) : null,
+        topP:        inRange(parameters.topP, 0, 1),
+        stop:        stop.filter((sequence) => typeof sequence === "string" && sequence.length > 0).slice(0, GenerationLimits.MAX_STOP),
+    };
+}
 
 /**
  * Manages extension settings with a cleaner interface
@@ -11,6 +112,9 @@ export class SettingsManager {
     constructor(settings) {
         this._settings = settings;
         this._settingsChangedCallbacks = new Map();
+        this._secretStore = new SecretStore();
+        this._apiKeysLoaded = false;
+        this._apiKeysCallbacks = [];
     }
 
     /**
@@ -55,24 +159,54 @@ export class SettingsManager {
     }
 
     /**
-     * Get the API key for the specified provider
+     * Get the API key for the specified provider. Keys in the keyring are
+     * read from the cache filled by loadApiKeys.
      * @param {string} provider - Provider type
      * @returns {string} - API key
      */
     getApiKey(provider) {
-        switch (provider) {
-            case LLMProviders.ANTHROPIC:
-                return this._settings.get_string(SettingsKeys.ANTHROPIC_API_KEY);
-            case LLMProviders.OPENAI:
-                return this._settings.get_string(SettingsKeys.OPENAI_API_KEY);
-            case LLMProviders.GEMINI:
-                return this._settings.get_string(SettingsKeys.GEMINI_API_KEY);
-            case LLMProviders.OPENROUTER:
-                return this._settings.get_string(SettingsKeys.OPENROUTER_API_KEY);
-            case LLMProviders.GROQ:
-                return this._settings.get_string(SettingsKeys.GROQ_API_KEY);
-            default:
-                return "";
+        const key = API_KEY_SETTINGS[provider];
+        if (!key) {
+            return "";
+        }
+
+        const value = this._settings.get_string(key);
+        return isKeyringReference(value) ? this._secretStore.get(provider) : value;
+    }
+
+    /**
+     * Read the API keys from the keyring. Keys still stored in plain text by
+     * earlier versions are moved into the keyring on the way, unless
+     * libsecret is missing, in which case they keep being read from the settings.
+     * @param {Function} callback - Called once the keys can be read with getApiKey
+     */
+    loadApiKeys(callback = () => {}) {
+        const providers = Object.keys(API_KEY_SETTINGS);
+        this._secretStore.load(providers, () => {
+            for (const provider of providers) {
+                const value = this._settings.get_string(API_KEY_SETTINGS[provider]);
+                if (value && !isKeyringReference(value) && isKeyringAvailable()) {
+                    this.setApiKey(provider, value);
+                }
+            }
+            this._apiKeysLoaded = true;
+            const waiting = this._apiKeysCallbacks;
+            this._apiKeysCallbacks = [];
+            waiting.forEach((waitingCallback) => waitingCallback());
+            callback();
+        });
+    }
+
+    /**
+     * Run a callback once the API keys have been read from the keyring for
+     * the first time, right away if they already have been
+     * @param {Function} callback - Called when getApiKey returns the stored keys
+     */
+    whenApiKeysLoaded(callback) {
+        if (this._apiKeysLoaded) {
+            callback();
+        } else {
+            this._apiKeysCallbacks.push(callback);
         }
     }
 
@@ -95,11 +229,176 @@ export class SettingsManager {
                 return this._settings.get_string(SettingsKeys.OLLAMA_MODEL);
             case LLMProviders.GROQ:
                 return this._settings.get_string(SettingsKeys.GROQ_MODEL);
+            case LLMProviders.CUSTOM_OPENAI:
+                return this._settings.get_string(SettingsKeys.CUSTOM_OPENAI_MODEL);
             default:
                 return "";
         }
     }
 
+    /**
+     * Get the connection options for the specified provider
+     * @param {string} provider - Provider type
+     * @returns {object} - Options passed to LLMProviderFactory.createProvider
+     */
+    getProviderOptions(provider) {
+        switch (provider) {
+            case LLMProviders.CUSTOM_OPENAI:
+                return {
+                    baseUrl: this._settings.get_string(SettingsKeys.CUSTOM_OPENAI_BASE_URL),
+                    headers: parseHeaders(this._settings.get_strv(SettingsKeys.CUSTOM_OPENAI_HEADERS)),
+                };
+            case LLMProviders.OLLAMA:
+                return {
+                    baseUrl: this._settings.get_string(SettingsKeys.OLLAMA_URL),
+                    headers: parseHeaders(this._settings.get_strv(SettingsKeys.OLLAMA_HEADERS)),
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Get the model used to generate conversation titles
+     * @param {string} provider - Provider type
+     * @param {string} chatModel - Model chatted with, such as the active persona's
+     * @returns {string} - Title model, or the chat model if none is set
+     */
+    getTitleModel(provider, chatModel = this.getModel(provider)) {
+        return this.getTitleModels()[provider] || chatModel;
+    }
+
+    /**
+     * Get the title models set in the preferences
+     * @returns {object} - Provider types mapped to model names
+     */
+    getTitleModels() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.TITLE_MODELS) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse title models");
+            return {};
+        }
+    }
+
+    /**
+     * Save the title models; providers with an empty model use the chat model
+     * @param {object} titleModels - Provider types mapped to model names
+     */
+    setTitleModels(titleModels) {
+        const models = Object.fromEntries(Object.entries(titleModels).filter(([, model]) => model));
+        this._settings.set_string(SettingsKeys.TITLE_MODELS, JSON.stringify(models));
+    }
+
+    /**
+     * Get the generation parameters of a provider
+     * @param {string} provider - Provider type
+     * @returns {object} - Parameters with temperature, maxTokens, topP and stop; null means the provider's default
+     */
+    getGenerationParameters(provider) {
+        return parseGenerationParameters(this._getAllGenerationParameters()[provider]);
+    }
+
+    /**
+     * Set the generation parameters of a provider
+     * @param {string} provider - Provider type
+     * @param {object} parameters - Parameters with temperature, maxTokens, topP and stop
+     */
+    setGenerationParameters(provider, parameters) {
+        const all = this._getAllGenerationParameters();
+        all[provider] = parseGenerationParameters(parameters);
+        this._settings.set_string(SettingsKeys.GENERATION_PARAMETERS, JSON.stringify(all));
+    }
+
+    /**
+     * Get the saved generation parameters of all providers
+     * @returns {object} - Provider types mapped to parameters
+     * @private
+     */
+    _getAllGenerationParameters() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.GENERATION_PARAMETERS) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse generation parameters");
+            return {};
+        }
+    }
+
+    /**
+     * Get the user-defined personas
+     * @returns {Array<object>} - Personas with an id, name, systemPrompt, provider, model and temperature
+     */
+    getPersonas() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.PERSONAS) || "[]");
+        } catch (e) {
+            logError(e, "Failed to parse personas");
+            return [];
+        }
+    }
+
+    /**
+     * Set the user-defined personas
+     * @param {Array<object>} personas - Personas
+     */
+    setPersonas(personas) {
+        this._settings.set_string(SettingsKeys.PERSONAS, JSON.stringify(personas));
+    }
+
+    /**
+     * Get the persona used for new messages
+     * @returns {object|null} - Persona, or null if none is selected
+     */
+    getActivePersona() {
+        const id = this._settings.get_string(SettingsKeys.ACTIVE_PERSONA);
+        return this.getPersonas().find((persona) => persona.id === id) || null;
+    }
+
+    /**
+     * Select the persona used for new messages
+     * @param {string} id - Persona id, empty for none
+     */
+    setActivePersonaId(id) {
+        this._settings.set_string(SettingsKeys.ACTIVE_PERSONA, id);
+    }
+
+    /**
+     * Get the provider and model to chat with. The active persona may
+     * replace the selected provider and its model.
+     * @returns {{provider: string, model: string}} - Provider type and model name
+     */
+    getChatProvider() {
+        const persona = this.getActivePersona();
+        const provider = persona?.provider || this.getLLMProvider();
+        return {
+            provider: provider,
+            model:    persona?.model || this.getModel(provider),
+        };
+    }
+
+    /**
+     * Get the providers to chat with in the order they are tried: the chat
+     * provider, then the fallback providers. Fallbacks that need an API key
+     * and have none are left out, as are repeats of an earlier entry.
+     * @returns {Array<{provider: string, model: string}>} - Provider types and model names
+     */
+    getProviderChain() {
+        const chain = [this.getChatProvider()];
+        for (const fallback of parseFallbackProviders(this._settings.get_strv(SettingsKeys.FALLBACK_PROVIDERS))) {
+            const { provider } = fallback;
+            const model = fallback.model || this.getModel(provider);
+            // The key of a custom server is optional
+            const needsKey = provider in API_KEY_SETTINGS && provider !== LLMProviders.CUSTOM_OPENAI;
+            if (needsKey && !this.getApiKey(provider)) {
+                continue;
+            }
+            if (!chain.some((entry) => entry.provider === provider && entry.model === model)) {
+                chain.push({ provider, model });
+            }
+        }
+        return chain;
+    }
+
     /**
      * Get the request timeout in seconds
      * @returns {number} - Timeout in seconds
@@ -109,11 +408,44 @@ export class SettingsManager {
     }
 
     /**
-     * Get whether web search is enabled
-     * @returns {boolean} - True if web search is enabled
+     * Get the context window set by the user
+     * @returns {number} - Context window in tokens, 0 to use the model's known window
+     */
+    getContextLimit() {
+        return this._settings.get_int(SettingsKeys.CONTEXT_LIMIT);
+    }
+
+    /**
+     * Get how conversations that outgrow the context window are handled
+     * @returns {string} - One of ContextStrategies
+     */
+    getContextStrategy() {
+        return this._settings.get_string(SettingsKeys.CONTEXT_STRATEGY);
+    }
+
+    /**
+     * Get how full the context window may get before older turns are summarized
+     * @returns {number} - Percentage of the context window
+     */
+    getSummaryThreshold() {
+        return this._settings.get_int(SettingsKeys.SUMMARY_THRESHOLD);
+    }
+
+    /**
+     * Get a boolean setting, such as the switch that enables a tool
+     * @param {string} key - Settings key
+     * @returns {boolean} - Value of the setting
      */
-    getEnableWebSearch() {
-        return this._settings.get_boolean(SettingsKeys.ENABLE_WEB_SEARCH);
+    getBoolean(key) {
+        return this._settings.get_boolean(key);
+    }
+
+    /**
+     * Get the configured MCP servers
+     * @returns {Array<object>} - Servers with a name and the argv to start them
+     */
+    getMCPServers() {
+        return parseMCPServers(this._settings.get_strv(SettingsKeys.MCP_SERVERS));
     }
 
     /**
@@ -147,6 +479,43 @@ export class SettingsManager {
         this._settings.set_string(SettingsKeys.HISTORY, JSON.stringify(history));
     }
 
+    /**
+     * Get the saved conversations
+     * @returns {Array} - Conversations
+     */
+    getConversations() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.CONVERSATIONS) || "[]");
+        } catch (e) {
+            logError(e, "Failed to parse conversations");
+            return [];
+        }
+    }
+
+    /**
+     * Set the saved conversations
+     * @param {Array} conversations - Conversations
+     */
+    setConversations(conversations) {
+        this._settings.set_string(SettingsKeys.CONVERSATIONS, JSON.stringify(conversations));
+    }
+
+    /**
+     * Get the id of the conversation shown in the chat
+     * @returns {string} - Conversation id
+     */
+    getActiveConversationId() {
+        return this._settings.get_string(SettingsKeys.ACTIVE_CONVERSATION);
+    }
+
+    /**
+     * Set the id of the conversation shown in the chat
+     * @param {string} id - Conversation id
+     */
+    setActiveConversationId(id) {
+        this._settings.set_string(SettingsKeys.ACTIVE_CONVERSATION, id);
+    }
+
     /**
      * Get visual styling settings
      * @returns {object} - Object containing styling settings
@@ -178,28 +547,29 @@ export class SettingsManager {
     }
 
     /**
-     * Set the API key for a provider
+     * Set the API key for a provider. The key goes into the keyring and the
+     * setting only keeps a reference to it; if the keyring cannot be reached
+     * the setting is left unchanged.
      * @param {string} provider - Provider type
      * @param {string} apiKey - API key
+     * @param {Function} callback - Callback (error)
      */
-    setApiKey(provider, apiKey) {
-        switch (provider) {
-            case LLMProviders.ANTHROPIC:
-                this._settings.set_string(SettingsKeys.ANTHROPIC_API_KEY, apiKey);
-                break;
-            case LLMProviders.OPENAI:
-                this._settings.set_string(SettingsKeys.OPENAI_API_KEY, apiKey);
-                break;
-            case LLMProviders.GEMINI:
-                this._settings.set_string(SettingsKeys.GEMINI_API_KEY, apiKey);
-                break;
-            case LLMProviders.OPENROUTER:
-                this._settings.set_string(SettingsKeys.OPENROUTER_API_KEY, apiKey);
-                break;
-            case LLMProviders.GROQ:
-                this._settings.set_string(SettingsKeys.GROQ_API_KEY, apiKey);
-                break;
+    setApiKey(provider, apiKey, callback = () => {}) {
+        const key = API_KEY_SETTINGS[provider];
+        if (!key) {
+            callback(null);
+            return;
         }
+
+        this._secretStore.store(provider, apiKey, (error) => {
+            if (error) {
+                console.error(`[Settings] Failed to store the ${provider} API key in the keyring: ${error.message}`);
+                callback(error);
+                return;
+            }
+            this._settings.set_string(key, apiKey ? getKeyringReference(provider) : "");
+            callback(null);
+        });
     }
 
     /**
@@ -224,6 +594,9 @@ export class SettingsManager {
             case LLMProviders.GROQ:
                 this._settings.set_string(SettingsKeys.GROQ_MODEL, model);
                 break;
+            case LLMProviders.CUSTOM_OPENAI:
+                this._settings.set_string(SettingsKeys.CUSTOM_OPENAI_MODEL, model);
+                break;
         }
     }
 
@@ -0,0 +1,106 @@
+import { LLMProviderFactory } from "./llmProviders.js";
+import { MessageRoles } from "./constants.js";
+
+// Turns at the end of a conversation that are always sent word for word
+export const SUMMARY_KEEP_TURNS = 2;
+// Characters of each tool result passed to the summary; search dumps and transcripts are long
+const MAX_TOOL_EXCERPT_LENGTH = 2000;
+const SUMMARY_TIMEOUT_SECONDS = 120;
+
+/**
+ * Build the system prompt that stands in for the summarized messages
+ * @param {string} content - Summary
+ * @returns {string} - System prompt
+ */
+export function getSummaryPrompt(content) {
+    return `Summary of the earlier part of this conversation, which is not repeated below:\n\n${content}`;
+}
+
+/**
+ * Write messages out as a plain transcript for the summary request
+ * @param {Array<object>} messages - Messages, including tool calls and results
+ * @returns {string} - Transcript
+ */
+function formatTranscript(messages) {
+    return messages.map((msg) => {
+        if (msg.role === MessageRoles.TOOL) {
+            const excerpt = msg.content.length > MAX_TOOL_EXCERPT_LENGTH ? `${msg.content.substring(0, MAX_TOOL_EXCERPT_LENGTH)}…` : msg.content;
+            return `Result of ${msg.name}: ${excerpt}`;
+        }
+        if (msg.role === MessageRoles.USER) {
+            return `User: ${msg.content}`;
+        }
+        const calls = (msg.toolCalls || []).map((call) => `[Called ${call.name} with ${JSON.stringify(call.input || {})}]`);
+        return `Assistant: ${[msg.content, ...calls].filter(Boolean).join("\n")}`;
+    }).join("\n\n");
+}
+
+/**
+ * Condenses the older turns of long conversations into a running summary
+ * in the background, using the chat provider
+ */
+export class Summarizer {
+    /**
+     * Create a summarizer
+     * @param {SettingsManager} settingsManager - Settings with the chat provider
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        // Providers of the requests in flight, aborted by destroy()
+        this._providers = new Set();
+    }
+
+    /**
+     * Extend a summary with the messages that follow it
+     * @param {string} previous - Summary so far, empty if there is none
+     * @param {Array<object>} messages - Messages to fold into the summary
+     * @param {Function} callback - Callback (error, summary)
+     */
+    summarize(previous, messages, callback) {
+        const prompt = "You keep the running summary of a long conversation between a user and an assistant. " +
+            "Rewrite the summary so it also covers the new messages. Keep what may matter later: facts about " +
+            "the user, decisions and conclusions, names, numbers, code and open questions. Leave out small talk " +
+            "and the details of tool results that did not matter. Reply with the summary only, as concise bullet points.\n\n" +
+            `Summary so far:\n${previous || "None yet."}\n\nNew messages:\n${formatTranscript(messages)}`;
+
+        const { provider, model } = this._settingsManager.getChatProvider();
+        const llmProvider = LLMProviderFactory.createProvider(
+            provider,
+            this._settingsManager.getApiKey(provider),
+            model,
+            [],
+            this._settingsManager.getProviderOptions(provider)
+        );
+        llmProvider.setTimeout(SUMMARY_TIMEOUT_SECONDS);
+        this._providers.add(llmProvider);
+
+        llmProvider.sendRequest([{ role: MessageRoles.USER, content: prompt }], (error, response) => {
+            if (!this._providers.delete(llmProvider)) {
+                return; // Destroyed in the meantime
+            }
+            if (error) {
+                callback(error, null);
+                return;
+            }
+
+            const summary = (llmProvider._extractResponseText(response) || "")
+                .replace(/<think>[\s\S]*?<\/think>/g, "") // Reasoning models may think out loud first
+                .trim();
+            if (!summary) {
+                callback(new Error("The model returned an empty summary"), null);
+                return;
+            }
+            callback(null, summary);
+        });
+    }
+
+    /**
+     * Abort the requests in flight
+     */
+    destroy() {
+        for (const llmProvider of this._providers) {
+            llmProvider.abort();
+        }
+        this._providers.clear();
+    }
+}
@@ -0,0 +1,99 @@
+import { LLMProviderFactory } from "./llmProviders.js";
+import { MessageRoles } from "./constants.js";
+
+const MAX_TITLE_LENGTH = 60;
+// Characters of each message sent along; the start of a conversation is enough for a title
+const MAX_EXCERPT_LENGTH = 1000;
+const TITLE_TIMEOUT_SECONDS = 60;
+
+/**
+ * Turn a model's answer into a single-line title
+ * @param {string} text - Model answer
+ * @returns {string} - Title, or an empty string if the answer held none
+ */
+export function cleanTitle(text) {
+    const line = (text || "")
+        .replace(/<think>[\s\S]*?<\/think>/g, "") // Reasoning models may think out loud first
+        .split("\n")
+        .map((part) => part.trim())
+        .find(Boolean) || "";
+
+    const title = line
+        .replace(/^#+\s*/, "")
+        .replace(/^\*+|\*+$/g, "")
+        .replace(/^title:\s*/i, "")
+        .replace(/^["'*`“]+|["'*`”]+$/g, "")
+        .replace(/[.!]+$/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    return title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 1)}…` : title;
+}
+
+/**
+ * Asks the chat provider for short conversation titles in the background
+ */
+export class TitleGenerator {
+    /**
+     * Create a title generator
+     * @param {SettingsManager} settingsManager - Settings with the provider and title model
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        // Providers of the requests in flight, aborted by destroy()
+        this._providers = new Set();
+    }
+
+    /**
+     * Generate a title from the first exchange of a conversation
+     * @param {Array} messages - Visible messages of the conversation, starting with the first user message
+     * @param {Function} callback - Callback (error, title)
+     */
+    generate(messages, callback) {
+        const excerpt = messages
+            .slice(0, 2)
+            .map((msg) => `${msg.role === MessageRoles.USER ? "User" : "Assistant"}: ${msg.content.substring(0, MAX_EXCERPT_LENGTH)}`)
+            .join("\n\n");
+        const prompt = "Write a short title of at most six words for the conversation below. " +
+            "Reply with the title only, without quotes or a trailing period.\n\n" + excerpt;
+
+        // The active persona may chat with another provider than the selected one
+        const { provider, model } = this._settingsManager.getChatProvider();
+        const llmProvider = LLMProviderFactory.createProvider(
+            provider,
+            this._settingsManager.getApiKey(provider),
+            this._settingsManager.getTitleModel(provider, model),
+            [],
+            this._settingsManager.getProviderOptions(provider)
+        );
+        llmProvider.setTimeout(TITLE_TIMEOUT_SECONDS);
+        this._providers.add(llmProvider);
+
+        llmProvider.sendRequest([{ role: MessageRoles.USER, content: prompt }], (error, response) => {
+            if (!this._providers.delete(llmProvider)) {
+                return; // Destroyed in the meantime
+            }
+            if (error) {
+                callback(error, null);
+                return;
+            }
+
+            const title = cleanTitle(llmProvider._extractResponseText(response));
+            if (!title) {
+                callback(new Error("The model returned an empty title"), null);
+                return;
+            }
+            callback(null, title);
+        });
+    }
+
+    /**
+     * Abort the requests in flight
+     */
+    destroy() {
+        for (const llmProvider of this._providers) {
+            llmProvider.abort();
+        }
+        this._providers.clear();
+    }
+}
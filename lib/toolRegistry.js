@@ -0,0 +1,139 @@
+import { SettingsKeys } from "./constants.js";
+import { SearXNGSearchClient } from "./webSearch.js";
+import { YouTubeTranscriptFetcher } from "./youtubeSummary.js";
+
+/**
+ * Registry of the tools the model may call.
+ *
+ * Each tool is a plain object:
+ * - name, description, input_schema: the definition sent to the provider
+ * - instructions: optional sentence added to the system prompt
+ * - settingsKey: optional boolean setting that enables the tool
+ * - label: short name used in progress and error messages
+ * - progressText(input) / doneText(input): chat messages while and after it runs
+ * - handler(input, callback, cancellable): runs the tool, callback (error, result);
+ *   the Gio.Cancellable is cancelled when the user stops the request
+ */
+export class ToolRegistry {
+    /**
+     * Create a tool registry
+     * @param {SettingsManager} settingsManager - Settings used to check which tools are enabled
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        this._tools = new Map();
+    }
+
+    /**
+     * Add a tool, replacing any tool with the same name
+     * @param {object} tool - Tool declaration
+     */
+    register(tool) {
+        this._tools.set(tool.name, tool);
+    }
+
+    /**
+     * Remove a tool
+     * @param {string} name - Tool name
+     */
+    unregister(name) {
+        this._tools.delete(name);
+    }
+
+    /**
+     * Look up a tool by name
+     * @param {string} name - Tool name
+     * @returns {object|undefined} - Tool declaration
+     */
+    get(name) {
+        return this._tools.get(name);
+    }
+
+    /**
+     * Check whether a tool is switched on in the settings
+     * @param {object} tool - Tool declaration
+     * @returns {boolean} - True if the tool may be offered to the model
+     */
+    isEnabled(tool) {
+        return !tool.settingsKey || this._settingsManager.getBoolean(tool.settingsKey);
+    }
+
+    /**
+     * Get the definitions of the enabled tools, for LLMProviderFactory.createProvider
+     * @returns {Array<object>} - Tool definitions
+     */
+    getEnabledDefinitions() {
+        return [...this._tools.values()]
+            .filter((tool) => this.isEnabled(tool))
+            .map((tool) => ({
+                name:         tool.name,
+                description:  tool.description,
+                input_schema: tool.input_schema,
+                instructions: tool.instructions,
+            }));
+    }
+}
+
+/**
+ * Create a registry holding the built-in tools
+ * @param {SettingsManager} settingsManager - Settings manager instance
+ * @returns {ToolRegistry} - Registry with web search and YouTube summaries
+ */
+export function createDefaultToolRegistry(settingsManager) {
+    const registry = new ToolRegistry(settingsManager);
+
+    registry.register({
+        name:         "web_search",
+        description:  "Search the web for current, real-time information. ALWAYS use this tool when the user asks about: current weather, today's date/time, latest news, recent events, current stock prices, live sports scores, or anything containing words like 'today', 'now', 'current', 'latest', 'recent'. This tool provides up-to-date information that you don't have in your training data.",
+        input_schema: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "Search query with relevant keywords. Be specific and include temporal terms like 'today', 'current', 'latest' when relevant."
+                }
+            },
+            required: ["query"]
+        },
+        instructions: "When web_search returns [WEB SEARCH RESULTS], answer ONLY using that data.",
+        settingsKey:  SettingsKeys.ENABLE_WEB_SEARCH,
+        label:        "Web search",
+        progressText: (input) => `🔍 Searching the web for: "${input.query}"...`,
+        doneText:     (input) => `🔍 Searched the web for: "${input.query}"`,
+        handler:      (input, callback, cancellable) => {
+            const searchClient = new SearXNGSearchClient(settingsManager.getSearXNGInstance());
+            searchClient.search(input.query, callback, cancellable);
+        },
+    });
+
+    registry.register({
+        name:         "youtube_summary",
+        description:  "Get transcript and summary of a YouTube video. Use this when user provides a YouTube URL or asks to summarize a YouTube video. The video must have subtitles/captions available.",
+        input_schema: {
+            type: "object",
+            properties: {
+                video_url: {
+                    type: "string",
+                    description: "YouTube video URL (e.g., https://www.youtube.com/watch?v=VIDEO_ID or https://youtu.be/VIDEO_ID)"
+                }
+            },
+            required: ["video_url"]
+        },
+        instructions: "When youtube_summary returns a [YOUTUBE VIDEO TRANSCRIPT], answer ONLY using that data.",
+        settingsKey:  SettingsKeys.ENABLE_YOUTUBE_SUMMARY,
+        label:        "YouTube transcript fetch",
+        progressText: () => "📺 Fetching YouTube video transcript...",
+        doneText:     () => "📺 Fetched YouTube video transcript",
+        handler:      (input, callback, cancellable) => {
+            YouTubeTranscriptFetcher.fetchTranscript(input.video_url, (error, transcript) => {
+                if (error) {
+                    callback(error, null);
+                    return;
+                }
+                callback(null, YouTubeTranscriptFetcher.formatTranscript(input.video_url, transcript));
+            }, cancellable);
+        },
+    });
+
+    return registry;
+}
@@ -19,8 +19,9 @@ export class SearXNGSearchClient {
      * Perform a web search using SearXNG
      * @param {string} query - Search query
      * @param {Function} callback - Callback function (error, results)
+     * @param {Gio.Cancellable} cancellable - Optional cancellable that aborts the search
      */
-    search(query, callback) {
+    search(query, callback, cancellable = null) {
         // Use SearXNG JSON API
         const url = `${this._instanceUrl}/search?q=${encodeURIComponent(query)}&format=json&categories=general`;
         const message = Soup.Message.new("GET", url);
@@ -37,7 +38,7 @@ export class SearXNGSearchClient {
         this._httpSession.send_and_read_async(
             message,
             GLib.PRIORITY_DEFAULT,
-            null,
+            cancellable,
             (session, result) => {
                 try {
                     const status = message.get_status();
@@ -26,8 +26,9 @@ export class YouTubeTranscriptFetcher {
      * Fetch transcript for a YouTube video
      * @param {string} videoUrl - YouTube video URL or ID
      * @param {Function} callback - Callback (error, transcript)
+     * @param {Gio.Cancellable} cancellable - Optional cancellable that stops yt-dlp
      */
-    static fetchTranscript(videoUrl, callback) {
+    static fetchTranscript(videoUrl, callback, cancellable = null) {
         const videoId = this.extractVideoId(videoUrl);
         if (!videoId) {
             callback(new Error('Invalid YouTube URL'), null);
@@ -42,7 +43,11 @@ export class YouTubeTranscriptFetcher {
                 Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE
             );
 
-            proc.communicate_utf8_async(null, null, (proc, res) => {
+            // Cancelling only abandons the pipes, so stop yt-dlp itself as well
+            const cancelId = cancellable?.connect(() => proc.force_exit()) ?? 0;
+
+            proc.communicate_utf8_async(null, cancellable, (proc, res) => {
+                cancellable?.disconnect(cancelId);
                 try {
                     const [, stdout, stderr] = proc.communicate_utf8_finish(res);
                     
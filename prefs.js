@@ -9,9 +9,16 @@ import Gtk from "gi://Gtk";
 import Adw from "gi://Adw";
 import GLib from "gi://GLib";
 import Gdk from "gi://Gdk";
+import GObject from "gi://GObject";
 
 import { ExtensionPreferences, gettext as _ } from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
-import { SettingsKeys, LLMProviders } from "./lib/constants.js";
+import { ContextStrategies, ProviderNames, SettingsKeys, LLMProviders } from "./lib/constants.js";
+import { GenerationLimits, SettingsManager } from "./lib/settings.js";
+import { LLMProviderFactory } from "./lib/llmProviders.js";
+import { ModelChooser } from "./lib/modelChooser.js";
+
+// Providers with their display names, in the order of the persona and parameter provider lists
+const PROVIDER_NAMES = Object.entries(ProviderNames);
 
 /**
  * Extension preferences management class
@@ -45,8 +52,10 @@ class SettingsUI {
      */
     constructor(schema) {
         this.schema = schema;
+        this._settingsManager = new SettingsManager(schema);
         this.ui = new Adw.PreferencesGroup({ title: _("Settings:") });
         this.main = this._createMainGrid();
+        this._row = 0;
 
         // Load current settings
         this._loadCurrentSettings();
@@ -55,8 +64,17 @@ class SettingsUI {
         this._createProviderSection();
         this._createAPIKeySection();
         this._createModelSection();
+        this._createOllamaSection();
+        this._createCustomProviderSection();
         this._createTimeoutSection();
+        this._createFallbackSection();
+        this._createContextSection();
         this._createWebSearchSection();
+        this._createYouTubeSection();
+        this._createMCPSection();
+        this._createTitleSection();
+        this._createGenerationSection();
+        this._createPersonaSection();
         this._createColorSection();
         this._createShortcutSection();
         this._createSaveSection();
@@ -90,6 +108,15 @@ class SettingsUI {
         return grid;
     }
 
+    /**
+     * Reserve the next free row of the main grid
+     * @returns {number} - Row index
+     * @private
+     */
+    _nextRow() {
+        return this._row++;
+    }
+
     /**
      * Load current settings from schema
      * @private
@@ -98,13 +125,6 @@ class SettingsUI {
         // Provider settings
         this.defaultProvider = this.schema.get_string(SettingsKeys.LLM_PROVIDER);
 
-        // API keys
-        this.defaultAnthropicKey = this.schema.get_string(SettingsKeys.ANTHROPIC_API_KEY);
-        this.defaultOpenAIKey = this.schema.get_string(SettingsKeys.OPENAI_API_KEY);
-        this.defaultGeminiKey = this.schema.get_string(SettingsKeys.GEMINI_API_KEY);
-        this.defaultOpenRouterKey = this.schema.get_string(SettingsKeys.OPENROUTER_API_KEY);
-        this.defaultGroqKey = this.schema.get_string(SettingsKeys.GROQ_API_KEY);
-
         // Models
         this.defaultModel = this.schema.get_string(SettingsKeys.ANTHROPIC_MODEL);
         this.defaultOpenAIModel = this.schema.get_string(SettingsKeys.OPENAI_MODEL);
@@ -112,6 +132,15 @@ class SettingsUI {
         this.defaultOpenRouterModel = this.schema.get_string(SettingsKeys.OPENROUTER_MODEL);
         this.defaultOllamaModel = this.schema.get_string(SettingsKeys.OLLAMA_MODEL);
         this.defaultGroqModel = this.schema.get_string(SettingsKeys.GROQ_MODEL);
+        this.defaultCustomOpenAIModel = this.schema.get_string(SettingsKeys.CUSTOM_OPENAI_MODEL);
+
+        // Ollama connection
+        this.defaultOllamaUrl = this.schema.get_string(SettingsKeys.OLLAMA_URL);
+        this.defaultOllamaHeaders = this.schema.get_strv(SettingsKeys.OLLAMA_HEADERS);
+
+        // Custom OpenAI-compatible connection
+        this.defaultCustomOpenAIBaseUrl = this.schema.get_string(SettingsKeys.CUSTOM_OPENAI_BASE_URL);
+        this.defaultCustomOpenAIHeaders = this.schema.get_strv(SettingsKeys.CUSTOM_OPENAI_HEADERS);
 
         // Colors
         this.defaultHumanColor = this.schema.get_string(SettingsKeys.HUMAN_MESSAGE_COLOR);
@@ -124,10 +153,30 @@ class SettingsUI {
 
         // Timeout
         this.defaultTimeout = this.schema.get_int(SettingsKeys.REQUEST_TIMEOUT);
+        this.defaultFallbackProviders = this.schema.get_strv(SettingsKeys.FALLBACK_PROVIDERS);
+        this.defaultContextLimit = this.schema.get_int(SettingsKeys.CONTEXT_LIMIT);
+        this.defaultContextStrategy = this.schema.get_string(SettingsKeys.CONTEXT_STRATEGY);
+        this.defaultSummaryThreshold = this.schema.get_int(SettingsKeys.SUMMARY_THRESHOLD);
 
         // Web search
         this.defaultEnableWebSearch = this.schema.get_boolean(SettingsKeys.ENABLE_WEB_SEARCH);
+        this.defaultEnableYouTubeSummary = this.schema.get_boolean(SettingsKeys.ENABLE_YOUTUBE_SUMMARY);
+        this.defaultMCPServers = this.schema.get_strv(SettingsKeys.MCP_SERVERS);
         this.defaultSearXNGInstance = this.schema.get_string(SettingsKeys.SEARXNG_INSTANCE);
+
+        // Conversation titles
+        this.defaultEnableAutoTitles = this.schema.get_boolean(SettingsKeys.ENABLE_AUTO_TITLES);
+        // Title model of every provider, edited in place until saved
+        this._titleModels = this._settingsManager.getTitleModels();
+
+        // Generation parameters of every provider, edited in place until saved
+        this._generationParameters = {};
+        for (const [provider] of PROVIDER_NAMES) {
+            this._generationParameters[provider] = this._settingsManager.getGenerationParameters(provider);
+        }
+
+        // Personas, edited in place until saved
+        this._personas = this._settingsManager.getPersonas();
     }
 
     /**
@@ -148,6 +197,7 @@ class SettingsUI {
         providerList.append(_("OpenRouter"));
         providerList.append(_("Ollama"));
         providerList.append(_("Groq"));
+        providerList.append(_("Custom OpenAI-compatible"));
 
         this.provider = new Gtk.DropDown({
             model:      providerList,
@@ -164,6 +214,7 @@ class SettingsUI {
             LLMProviders.OPENROUTER,
             LLMProviders.OLLAMA,
             LLMProviders.GROQ,
+            LLMProviders.CUSTOM_OPENAI,
         ];
 
         for (let i = 0; i < providers.length; i++) {
@@ -176,8 +227,9 @@ class SettingsUI {
         this.provider.set_selected(defaultProviderIndex);
 
         // Add to grid
-        this.main.attach(labelProvider, 0, 0, 1, 1);
-        this.main.attach(this.provider, 2, 0, 2, 1);
+        const row = this._nextRow();
+        this.main.attach(labelProvider, 0, row, 1, 1);
+        this.main.attach(this.provider, 2, row, 2, 1);
     }
 
     /**
@@ -199,7 +251,6 @@ class SettingsUI {
             width_chars: 30,
         });
         this.anthropicApiKey.set_placeholder_text(_("Paste your Anthropic API key"));
-        this.anthropicApiKey.set_text(this.defaultAnthropicKey);
 
         const howToAnthropicAPI = new Gtk.LinkButton({
             label:   _("Get Anthropic API Key"),
@@ -221,7 +272,6 @@ class SettingsUI {
             width_chars: 30,
         });
         this.openaiApiKey.set_placeholder_text(_("Paste your OpenAI API key"));
-        this.openaiApiKey.set_text(this.defaultOpenAIKey);
 
         const howToOpenAIAPI = new Gtk.LinkButton({
             label:   _("Get OpenAI API Key"),
@@ -243,7 +293,6 @@ class SettingsUI {
             width_chars: 30,
         });
         this.geminiApiKey.set_placeholder_text(_("Paste your Gemini API key"));
-        this.geminiApiKey.set_text(this.defaultGeminiKey);
 
         const howToGeminiAPI = new Gtk.LinkButton({
             label:   _("Get Gemini API Key"),
@@ -265,7 +314,6 @@ class SettingsUI {
             width_chars: 30,
         });
         this.openRouterApiKey.set_placeholder_text(_("Paste your OpenRouter API key"));
-        this.openRouterApiKey.set_text(this.defaultOpenRouterKey);
 
         const howToOpenRouterAPI = new Gtk.LinkButton({
             label:   _("Get OpenRouter API Key"),
@@ -274,21 +322,25 @@ class SettingsUI {
         });
 
         // Add to grid
-        this.main.attach(labelAnthropicAPI, 0, 1, 1, 1);
-        this.main.attach(this.anthropicApiKey, 2, 1, 2, 1);
-        this.main.attach(howToAnthropicAPI, 4, 1, 2, 1);
-
-        this.main.attach(labelOpenAIAPI, 0, 2, 1, 1);
-        this.main.attach(this.openaiApiKey, 2, 2, 2, 1);
-        this.main.attach(howToOpenAIAPI, 4, 2, 1, 1);
-
-        this.main.attach(labelGeminiAPI, 0, 3, 1, 1);
-        this.main.attach(this.geminiApiKey, 2, 3, 2, 1);
-        this.main.attach(howToGeminiAPI, 4, 3, 1, 1);
-
-        this.main.attach(labelOpenRouterAPI, 0, 4, 1, 1);
-        this.main.attach(this.openRouterApiKey, 2, 4, 2, 1);
-        this.main.attach(howToOpenRouterAPI, 4, 4, 1, 1);
+        let row = this._nextRow();
+        this.main.attach(labelAnthropicAPI, 0, row, 1, 1);
+        this.main.attach(this.anthropicApiKey, 2, row, 2, 1);
+        this.main.attach(howToAnthropicAPI, 4, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOpenAIAPI, 0, row, 1, 1);
+        this.main.attach(this.openaiApiKey, 2, row, 2, 1);
+        this.main.attach(howToOpenAIAPI, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelGeminiAPI, 0, row, 1, 1);
+        this.main.attach(this.geminiApiKey, 2, row, 2, 1);
+        this.main.attach(howToGeminiAPI, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOpenRouterAPI, 0, row, 1, 1);
+        this.main.attach(this.openRouterApiKey, 2, row, 2, 1);
+        this.main.attach(howToOpenRouterAPI, 4, row, 1, 1);
 
         // Groq API Key
         const labelGroqAPI = new Gtk.Label({
@@ -304,7 +356,6 @@ class SettingsUI {
             width_chars: 30,
         });
         this.groqApiKey.set_placeholder_text(_("Paste your Groq API key"));
-        this.groqApiKey.set_text(this.defaultGroqKey);
 
         const howToGroqAPI = new Gtk.LinkButton({
             label:   _("Get Groq API Key"),
@@ -312,9 +363,50 @@ class SettingsUI {
             halign:  Gtk.Align.START,
         });
 
-        this.main.attach(labelGroqAPI, 0, 5, 1, 1);
-        this.main.attach(this.groqApiKey, 2, 5, 2, 1);
-        this.main.attach(howToGroqAPI, 4, 5, 1, 1);
+        row = this._nextRow();
+        this.main.attach(labelGroqAPI, 0, row, 1, 1);
+        this.main.attach(this.groqApiKey, 2, row, 2, 1);
+        this.main.attach(howToGroqAPI, 4, row, 1, 1);
+
+        // Custom OpenAI-compatible API Key
+        const labelCustomOpenAIAPI = new Gtk.Label({
+            label:        _("Custom API Key (optional):"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("API key for your OpenAI-compatible server. Leave empty if it does not require one."),
+        });
+
+        this.customOpenAIApiKey = new Gtk.Entry({
+            buffer:     new Gtk.EntryBuffer(),
+            visibility: false,
+            hexpand:    true,
+            width_chars: 30,
+        });
+        this.customOpenAIApiKey.set_placeholder_text(_("Paste your API key, if any"));
+
+        row = this._nextRow();
+        this.main.attach(labelCustomOpenAIAPI, 0, row, 1, 1);
+        this.main.attach(this.customOpenAIApiKey, 2, row, 2, 1);
+
+        // Keys live in the keyring, which is read asynchronously
+        this._apiKeyEntries = {
+            [LLMProviders.ANTHROPIC]:     this.anthropicApiKey,
+            [LLMProviders.OPENAI]:        this.openaiApiKey,
+            [LLMProviders.GEMINI]:        this.geminiApiKey,
+            [LLMProviders.OPENROUTER]:    this.openRouterApiKey,
+            [LLMProviders.GROQ]:          this.groqApiKey,
+            [LLMProviders.CUSTOM_OPENAI]: this.customOpenAIApiKey,
+        };
+        this._apiKeysLoaded = false;
+        for (const entry of Object.values(this._apiKeyEntries)) {
+            entry.set_sensitive(false);
+        }
+        this._settingsManager.loadApiKeys(() => {
+            for (const [provider, entry] of Object.entries(this._apiKeyEntries)) {
+                entry.set_text(this._settingsManager.getApiKey(provider));
+                entry.set_sensitive(true);
+            }
+            this._apiKeysLoaded = true;
+        });
     }
 
     /**
@@ -326,15 +418,12 @@ class SettingsUI {
         const labelModel = new Gtk.Label({
             label:        _("Anthropic Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the Anthropic model you want to use. Example: claude-v1.3"),
+            tooltip_text: _("Specify the Anthropic model you want to use, or pick one from the list. Example: claude-sonnet-4-5"),
         });
 
-        this.model = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
-        this.model.set_placeholder_text(_("e.g., claude-v1.3"));
+        const anthropicModelChooser = this._createModelChooser(LLMProviders.ANTHROPIC);
+        this.model = anthropicModelChooser.entry;
+        this.model.set_placeholder_text(_("e.g., claude-sonnet-4-5"));
         this.model.set_text(this.defaultModel);
 
         const howToModel = new Gtk.LinkButton({
@@ -347,15 +436,12 @@ class SettingsUI {
         const labelOpenAIModel = new Gtk.Label({
             label:        _("OpenAI Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the OpenAI model you want to use. Example: gpt-3.5-turbo"),
+            tooltip_text: _("Specify the OpenAI model you want to use, or pick one from the list. Example: gpt-4o"),
         });
 
-        this.openaiModel = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
-        this.openaiModel.set_placeholder_text(_("e.g., gpt-3.5-turbo"));
+        const openaiModelChooser = this._createModelChooser(LLMProviders.OPENAI);
+        this.openaiModel = openaiModelChooser.entry;
+        this.openaiModel.set_placeholder_text(_("e.g., gpt-4o"));
         this.openaiModel.set_text(this.defaultOpenAIModel);
 
         const howToOpenAIModel = new Gtk.LinkButton({
@@ -368,15 +454,12 @@ class SettingsUI {
         const labelGeminiModel = new Gtk.Label({
             label:        _("Gemini Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the Gemini model you want to use. Example: gemini-1.0-pro"),
+            tooltip_text: _("Specify the Gemini model you want to use, or pick one from the list. Example: gemini-2.0-flash"),
         });
 
-        this.geminiModel = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
-        this.geminiModel.set_placeholder_text(_("e.g., gemini-1.0-pro"));
+        const geminiModelChooser = this._createModelChooser(LLMProviders.GEMINI);
+        this.geminiModel = geminiModelChooser.entry;
+        this.geminiModel.set_placeholder_text(_("e.g., gemini-2.0-flash"));
         this.geminiModel.set_text(this.defaultGeminiModel);
 
         const howToGeminiModel = new Gtk.LinkButton({
@@ -389,14 +472,11 @@ class SettingsUI {
         const labelOpenRouterModel = new Gtk.Label({
             label:        _("OpenRouter Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the OpenRouter model you want to use. Example: meta-llama/llama-3.3-70b-instruct:free"),
+            tooltip_text: _("Specify the OpenRouter model you want to use, or pick one from the list. Example: meta-llama/llama-3.3-70b-instruct:free"),
         });
 
-        this.openRouterModel = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
+        const openRouterModelChooser = this._createModelChooser(LLMProviders.OPENROUTER);
+        this.openRouterModel = openRouterModelChooser.entry;
         this.openRouterModel.set_placeholder_text(_("e.g., meta-llama/llama-3.3-70b-instruct:free"));
         this.openRouterModel.set_text(this.defaultOpenRouterModel);
 
@@ -410,15 +490,12 @@ class SettingsUI {
         const labelOllamaModel = new Gtk.Label({
             label:        _("Ollama Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the Ollama model you want to use. Example: llama2"),
+            tooltip_text: _("Specify the Ollama model you want to use, or pick one of the models pulled on your server. Example: llama3.2"),
         });
 
-        this.ollamaModel = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
-        this.ollamaModel.set_placeholder_text(_("e.g., llama2"));
+        const ollamaModelChooser = this._createModelChooser(LLMProviders.OLLAMA);
+        this.ollamaModel = ollamaModelChooser.entry;
+        this.ollamaModel.set_placeholder_text(_("e.g., llama3.2"));
         this.ollamaModel.set_text(this.defaultOllamaModel);
 
         const howToOllamaModel = new Gtk.LinkButton({
@@ -428,38 +505,40 @@ class SettingsUI {
         });
 
         // Add to grid
-        this.main.attach(labelModel, 0, 6, 1, 1);
-        this.main.attach(this.model, 2, 6, 2, 1);
-        this.main.attach(howToModel, 4, 6, 1, 1);
-
-        this.main.attach(labelOpenAIModel, 0, 7, 1, 1);
-        this.main.attach(this.openaiModel, 2, 7, 2, 1);
-        this.main.attach(howToOpenAIModel, 4, 7, 1, 1);
-
-        this.main.attach(labelGeminiModel, 0, 8, 1, 1);
-        this.main.attach(this.geminiModel, 2, 8, 2, 1);
-        this.main.attach(howToGeminiModel, 4, 8, 1, 1);
-
-        this.main.attach(labelOpenRouterModel, 0, 9, 1, 1);
-        this.main.attach(this.openRouterModel, 2, 9, 2, 1);
-        this.main.attach(howToOpenRouterModel, 4, 9, 1, 1);
-
-        this.main.attach(labelOllamaModel, 0, 10, 1, 1);
-        this.main.attach(this.ollamaModel, 2, 10, 2, 1);
-        this.main.attach(howToOllamaModel, 4, 10, 1, 1);
+        let row = this._nextRow();
+        this.main.attach(labelModel, 0, row, 1, 1);
+        this.main.attach(anthropicModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToModel, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOpenAIModel, 0, row, 1, 1);
+        this.main.attach(openaiModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToOpenAIModel, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelGeminiModel, 0, row, 1, 1);
+        this.main.attach(geminiModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToGeminiModel, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOpenRouterModel, 0, row, 1, 1);
+        this.main.attach(openRouterModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToOpenRouterModel, 4, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOllamaModel, 0, row, 1, 1);
+        this.main.attach(ollamaModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToOllamaModel, 4, row, 1, 1);
 
         // Groq Model
         const labelGroqModel = new Gtk.Label({
             label:        _("Groq Model:"),
             halign:       Gtk.Align.START,
-            tooltip_text: _("Specify the Groq model you want to use. Example: llama-3.3-70b-versatile"),
+            tooltip_text: _("Specify the Groq model you want to use, or pick one from the list. Example: llama-3.3-70b-versatile"),
         });
 
-        this.groqModel = new Gtk.Entry({
-            buffer: new Gtk.EntryBuffer(),
-            hexpand: true,
-            width_chars: 30,
-        });
+        const groqModelChooser = this._createModelChooser(LLMProviders.GROQ);
+        this.groqModel = groqModelChooser.entry;
         this.groqModel.set_placeholder_text(_("e.g., llama-3.3-70b-versatile"));
         this.groqModel.set_text(this.defaultGroqModel);
 
@@ -469,9 +548,160 @@ class SettingsUI {
             halign:  Gtk.Align.START,
         });
 
-        this.main.attach(labelGroqModel, 0, 11, 1, 1);
-        this.main.attach(this.groqModel, 2, 11, 2, 1);
-        this.main.attach(howToGroqModel, 4, 11, 1, 1);
+        row = this._nextRow();
+        this.main.attach(labelGroqModel, 0, row, 1, 1);
+        this.main.attach(groqModelChooser.widget, 2, row, 2, 1);
+        this.main.attach(howToGroqModel, 4, row, 1, 1);
+
+        // Custom OpenAI-compatible Model
+        const labelCustomOpenAIModel = new Gtk.Label({
+            label:        _("Custom Model:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Specify the model name your OpenAI-compatible server expects, or pick one from the list."),
+        });
+
+        const customModelChooser = this._createModelChooser(LLMProviders.CUSTOM_OPENAI);
+        this.customOpenAIModel = customModelChooser.entry;
+        this.customOpenAIModel.set_placeholder_text(_("e.g., qwen2.5-7b-instruct"));
+        this.customOpenAIModel.set_text(this.defaultCustomOpenAIModel);
+
+        row = this._nextRow();
+        this.main.attach(labelCustomOpenAIModel, 0, row, 1, 1);
+        this.main.attach(customModelChooser.widget, 2, row, 2, 1);
+    }
+
+    /**
+     * Create the Ollama server section
+     * @private
+     */
+    _createOllamaSection() {
+        const labelOllamaUrl = new Gtk.Label({
+            label:        _("Ollama Server URL:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Base URL of your Ollama server, local, on the LAN or behind a reverse proxy."),
+        });
+
+        this.ollamaUrl = new Gtk.Entry({
+            buffer: new Gtk.EntryBuffer(),
+            hexpand: true,
+            width_chars: 30,
+        });
+        this.ollamaUrl.set_placeholder_text(_("e.g., http://127.0.0.1:11434"));
+        this.ollamaUrl.set_text(this.defaultOllamaUrl);
+
+        const labelOllamaHeaders = new Gtk.Label({
+            label:        _("Ollama Extra Headers:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("Additional HTTP headers, one \"Name: value\" per line. Example: Authorization: Bearer TOKEN"),
+        });
+
+        const [headersWindow, headersView] = this._createLinesView(this.defaultOllamaHeaders);
+        this.ollamaHeaders = headersView;
+
+        let row = this._nextRow();
+        this.main.attach(labelOllamaUrl, 0, row, 1, 1);
+        this.main.attach(this.ollamaUrl, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelOllamaHeaders, 0, row, 1, 1);
+        this.main.attach(headersWindow, 2, row, 2, 1);
+    }
+
+    /**
+     * Create the custom OpenAI-compatible server section
+     * @private
+     */
+    _createCustomProviderSection() {
+        const labelBaseUrl = new Gtk.Label({
+            label:        _("Custom Base URL:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Base URL of an OpenAI-compatible API (LM Studio, llama.cpp server, vLLM, LocalAI, gateways). \"/chat/completions\" is appended."),
+        });
+
+        this.customOpenAIBaseUrl = new Gtk.Entry({
+            buffer: new Gtk.EntryBuffer(),
+            hexpand: true,
+            width_chars: 30,
+        });
+        this.customOpenAIBaseUrl.set_placeholder_text(_("e.g., http://localhost:1234/v1"));
+        this.customOpenAIBaseUrl.set_text(this.defaultCustomOpenAIBaseUrl);
+
+        const labelHeaders = new Gtk.Label({
+            label:        _("Custom Extra Headers:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("Additional HTTP headers sent with every request, one \"Name: value\" per line."),
+        });
+
+        const [headersWindow, headersView] = this._createLinesView(this.defaultCustomOpenAIHeaders);
+        this.customOpenAIHeaders = headersView;
+
+        let row = this._nextRow();
+        this.main.attach(labelBaseUrl, 0, row, 1, 1);
+        this.main.attach(this.customOpenAIBaseUrl, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelHeaders, 0, row, 1, 1);
+        this.main.attach(headersWindow, 2, row, 2, 1);
+    }
+
+    /**
+     * Create a multi-line text field that holds one entry per line
+     * @param {Array<string>} lines - Initial entries
+     * @returns {Array} - The scrolled window to attach and the text view inside it
+     * @private
+     */
+    _createLinesView(lines) {
+        const textView = new Gtk.TextView({
+            monospace: true,
+            wrap_mode: Gtk.WrapMode.NONE,
+            top_margin: 4,
+            bottom_margin: 4,
+            left_margin: 4,
+            right_margin: 4,
+        });
+        textView.get_buffer().set_text(lines.join("\n"), -1);
+
+        const scrolled = new Gtk.ScrolledWindow({
+            child: textView,
+            hexpand: true,
+            min_content_height: 60,
+            has_frame: true,
+        });
+
+        return [scrolled, textView];
+    }
+
+    /**
+     * Read the non-empty lines of a multi-line text field
+     * @param {Gtk.TextView} textView - Text view created by _createLinesView
+     * @returns {Array<string>} - Trimmed entries
+     * @private
+     */
+    _getLines(textView) {
+        const buffer = textView.get_buffer();
+        const text = buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false);
+        return text.split("\n").map((line) => line.trim()).filter((line) => line.length > 0);
+    }
+
+    /**
+     * Create a model chooser that lists the provider's models using the saved settings
+     * @param {string} provider - Provider type
+     * @returns {ModelChooser} - The model chooser
+     * @private
+     */
+    _createModelChooser(provider) {
+        return new ModelChooser(provider, (callback) => {
+            const llmProvider = LLMProviderFactory.createProvider(
+                provider,
+                this._settingsManager.getApiKey(provider),
+                this._settingsManager.getModel(provider),
+                [],
+                this._settingsManager.getProviderOptions(provider)
+            );
+            llmProvider.listModels(callback);
+        });
     }
 
     /**
@@ -505,9 +735,120 @@ class SettingsUI {
         });
 
         // Add to grid
-        this.main.attach(labelTimeout, 0, 12, 1, 1);
-        this.main.attach(this.timeout, 2, 12, 1, 1);
-        this.main.attach(timeoutInfo, 3, 12, 1, 1);
+        const row = this._nextRow();
+        this.main.attach(labelTimeout, 0, row, 1, 1);
+        this.main.attach(this.timeout, 2, row, 1, 1);
+        this.main.attach(timeoutInfo, 3, row, 1, 1);
+    }
+
+    /**
+     * Create the fallback provider section
+     * @private
+     */
+    _createFallbackSection() {
+        const labelFallback = new Gtk.Label({
+            label:        _("Fallback Providers:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("Providers to try in order when the chat provider cannot be reached, rejects the API key, is out of quota or is down. One per line as provider or provider=model, e.g. openrouter=anthropic/claude-sonnet-4 or ollama."),
+        });
+
+        const [fallbackWindow, fallbackView] = this._createLinesView(this.defaultFallbackProviders);
+        this.fallbackProviders = fallbackView;
+
+        const fallbackInfo = new Gtk.Label({
+            label:        _("Providers: ") + Object.values(LLMProviders).join(", ") + _(". Without a model, the provider's model is used; providers without an API key are skipped."),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            wrap:         true,
+            max_width_chars: 50,
+        });
+
+        const row = this._nextRow();
+        this.main.attach(labelFallback, 0, row, 1, 1);
+        this.main.attach(fallbackWindow, 2, row, 1, 1);
+        this.main.attach(fallbackInfo, 3, row, 2, 1);
+    }
+
+    /**
+     * Create the context window section
+     * @private
+     */
+    _createContextSection() {
+        const labelContextLimit = new Gtk.Label({
+            label:        _("Context Limit (tokens):"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Older messages and tool output are left out of requests that would not fit. Set this for local models whose window is smaller than the model supports, such as Ollama's default of 4096."),
+        });
+
+        this.contextLimit = new Gtk.SpinButton({
+            adjustment: new Gtk.Adjustment({
+                lower:          0,
+                upper:          10000000,
+                step_increment: 1024,
+                page_increment: 8192,
+            }),
+            climb_rate: 1,
+            digits:     0,
+            numeric:    true,
+        });
+        this.contextLimit.set_value(this.defaultContextLimit);
+
+        const contextInfo = new Gtk.Label({
+            label:        _("0 uses the known window of the model"),
+            halign:       Gtk.Align.START,
+        });
+
+        const labelStrategy = new Gtk.Label({
+            label:        _("Long Conversations:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Leaving out old messages forgets them. Summarizing asks the chat model in the background to condense older turns into a summary that is sent instead."),
+        });
+
+        const strategyList = new Gtk.StringList();
+        strategyList.append(_("Leave out older messages"));
+        strategyList.append(_("Summarize older turns"));
+        this.contextStrategy = new Gtk.DropDown({
+            model:   strategyList,
+            hexpand: true,
+        });
+        this.contextStrategy.set_selected(this.defaultContextStrategy === ContextStrategies.SUMMARIZE ? 1 : 0);
+
+        const labelThreshold = new Gtk.Label({
+            label:        _("Summarize At (% of context):"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Older turns are summarized once the conversation fills this much of the context window. The last two turns are always sent in full."),
+        });
+
+        this.summaryThreshold = new Gtk.SpinButton({
+            adjustment: new Gtk.Adjustment({
+                lower:          30,
+                upper:          95,
+                step_increment: 5,
+                page_increment: 10,
+            }),
+            climb_rate: 1,
+            digits:     0,
+        });
+        this.summaryThreshold.set_value(this.defaultSummaryThreshold);
+        const updateThreshold = () => {
+            this.summaryThreshold.set_sensitive(this.contextStrategy.get_selected() === 1);
+        };
+        this.contextStrategy.connect("notify::selected", updateThreshold);
+        updateThreshold();
+
+        let row = this._nextRow();
+        this.main.attach(labelContextLimit, 0, row, 1, 1);
+        this.main.attach(this.contextLimit, 2, row, 1, 1);
+        this.main.attach(contextInfo, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelStrategy, 0, row, 1, 1);
+        this.main.attach(this.contextStrategy, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelThreshold, 0, row, 1, 1);
+        this.main.attach(this.summaryThreshold, 2, row, 1, 1);
     }
 
     /**
@@ -561,13 +902,568 @@ class SettingsUI {
         });
 
         // Add to grid
-        this.main.attach(labelWebSearch, 0, 13, 1, 1);
-        this.main.attach(switchBox, 2, 13, 1, 1);
-        this.main.attach(webSearchInfo, 3, 13, 2, 1);
+        let row = this._nextRow();
+        this.main.attach(labelWebSearch, 0, row, 1, 1);
+        this.main.attach(switchBox, 2, row, 1, 1);
+        this.main.attach(webSearchInfo, 3, row, 2, 1);
         
-        this.main.attach(labelSearXNG, 0, 14, 1, 1);
-        this.main.attach(this.searxngInstance, 2, 14, 2, 1);
-        this.main.attach(howToSearXNG, 4, 14, 1, 1);
+        row = this._nextRow();
+        this.main.attach(labelSearXNG, 0, row, 1, 1);
+        this.main.attach(this.searxngInstance, 2, row, 2, 1);
+        this.main.attach(howToSearXNG, 4, row, 1, 1);
+    }
+
+    /**
+     * Create the YouTube summary toggle section
+     * @private
+     */
+    _createYouTubeSection() {
+        const labelYouTube = new Gtk.Label({
+            label:        _("Enable YouTube Summaries:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Allow the chatbot to fetch the transcript of YouTube videos you link to. Requires yt-dlp."),
+        });
+
+        this.youtubeSummarySwitch = new Gtk.Switch({
+            active: this.defaultEnableYouTubeSummary,
+            valign: Gtk.Align.CENTER,
+        });
+
+        const switchBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            halign: Gtk.Align.START,
+        });
+        switchBox.append(this.youtubeSummarySwitch);
+
+        const youtubeInfo = new Gtk.Label({
+            label:        _("Uses yt-dlp to download video subtitles. Works with all LLM providers."),
+            halign:       Gtk.Align.START,
+            wrap:         true,
+            max_width_chars: 50,
+        });
+
+        const row = this._nextRow();
+        this.main.attach(labelYouTube, 0, row, 1, 1);
+        this.main.attach(switchBox, 2, row, 1, 1);
+        this.main.attach(youtubeInfo, 3, row, 2, 1);
+    }
+
+    /**
+     * Create the MCP servers section
+     * @private
+     */
+    _createMCPSection() {
+        const labelMCP = new Gtk.Label({
+            label:        _("MCP Servers:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("Local Model Context Protocol servers, one per line as name=command args. Example: docs=npx -y @acme/docs-mcp"),
+        });
+
+        const [serversWindow, serversView] = this._createLinesView(this.defaultMCPServers);
+        this.mcpServers = serversView;
+
+        const mcpInfo = new Gtk.Label({
+            label:        _("Servers are started over stdio and their tools are offered to the model."),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            wrap:         true,
+            max_width_chars: 50,
+        });
+
+        const row = this._nextRow();
+        this.main.attach(labelMCP, 0, row, 1, 1);
+        this.main.attach(serversWindow, 2, row, 1, 1);
+        this.main.attach(mcpInfo, 3, row, 2, 1);
+    }
+
+    /**
+     * Create the conversation title section
+     * @private
+     */
+    _createTitleSection() {
+        const labelAutoTitles = new Gtk.Label({
+            label:        _("Generate Conversation Titles:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("After the first reply, ask the model for a short title for the conversation."),
+        });
+
+        this.autoTitlesSwitch = new Gtk.Switch({
+            active: this.defaultEnableAutoTitles,
+            valign: Gtk.Align.CENTER,
+        });
+
+        const switchBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            halign: Gtk.Align.START,
+        });
+        switchBox.append(this.autoTitlesSwitch);
+
+        const labelTitleModel = new Gtk.Label({
+            label:        _("Title Model For:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("A cheaper model of each provider to write titles with. Leave empty to use the chat model."),
+        });
+
+        const providerList = new Gtk.StringList();
+        for (const [, name] of PROVIDER_NAMES) {
+            providerList.append(_(name));
+        }
+        this.titleProvider = new Gtk.DropDown({
+            model:   providerList,
+            hexpand: true,
+        });
+
+        this.titleModel = new Gtk.Entry({
+            buffer: new Gtk.EntryBuffer(),
+            hexpand: true,
+            width_chars: 30,
+        });
+        this.titleModel.set_placeholder_text(_("Same as the chat model"));
+
+        this._shownTitleProvider = null;
+        this.titleProvider.connect("notify::selected", () => {
+            this._showTitleModel(PROVIDER_NAMES[this.titleProvider.get_selected()][0]);
+        });
+        const activeIndex = PROVIDER_NAMES.findIndex(([provider]) => provider === this.defaultProvider);
+        this.titleProvider.set_selected(Math.max(activeIndex, 0));
+        this._showTitleModel(PROVIDER_NAMES[this.titleProvider.get_selected()][0]);
+
+        let row = this._nextRow();
+        this.main.attach(labelAutoTitles, 0, row, 1, 1);
+        this.main.attach(switchBox, 2, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelTitleModel, 0, row, 1, 1);
+        this.main.attach(this.titleProvider, 2, row, 1, 1);
+        this.main.attach(this.titleModel, 3, row, 1, 1);
+    }
+
+    /**
+     * Keep the title model of the shown provider and fill it in for another one
+     * @param {string} provider - Provider type
+     * @private
+     */
+    _showTitleModel(provider) {
+        this._storeTitleModel();
+        this._shownTitleProvider = provider;
+        this.titleModel.set_text(this._titleModels[provider] || "");
+    }
+
+    /**
+     * Copy the title model field into the title models
+     * @private
+     */
+    _storeTitleModel() {
+        if (this._shownTitleProvider) {
+            this._titleModels[this._shownTitleProvider] = this.titleModel.get_text().trim();
+        }
+    }
+
+    /**
+     * Create the generation parameter section: a provider list and the parameters of the selected provider
+     * @private
+     */
+    _createGenerationSection() {
+        const labelProvider = new Gtk.Label({
+            label:        _("Generation Parameters For:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Sampling settings are kept per provider. Unchecked values use the provider's default."),
+        });
+
+        const providerList = new Gtk.StringList();
+        for (const [, name] of PROVIDER_NAMES) {
+            providerList.append(_(name));
+        }
+        this.parameterProvider = new Gtk.DropDown({
+            model:   providerList,
+            hexpand: true,
+        });
+
+        const labelTemperature = new Gtk.Label({
+            label:        _("Temperature:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Higher values give more varied answers. Anthropic accepts up to 1; higher values are sent as 1."),
+        });
+        [this.temperatureCheck, this.temperature] = this._createOptionalNumber(0, GenerationLimits.MAX_TEMPERATURE, 0.1, 1);
+
+        const labelMaxTokens = new Gtk.Label({
+            label:        _("Max Tokens:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Longest response the model may write, in tokens. The model's own limit may be lower."),
+        });
+        [this.maxTokensCheck, this.maxTokens] = this._createOptionalNumber(1, GenerationLimits.MAX_TOKENS, 256, 0);
+
+        const labelTopP = new Gtk.Label({
+            label:        _("Top P:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Only sample from the most likely tokens whose probabilities add up to this value."),
+        });
+        [this.topPCheck, this.topP] = this._createOptionalNumber(0, 1, 0.05, 2);
+
+        const labelStop = new Gtk.Label({
+            label:        _("Stop Sequences:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("The response ends before any of these texts, one per line."),
+        });
+        const [stopWindow, stopView] = this._createLinesView([]);
+        this.stopSequences = stopView;
+
+        const stopInfo = new Gtk.Label({
+            label:        _("Up to four sequences."),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+        });
+
+        this._shownParameterProvider = null;
+        this.parameterProvider.connect("notify::selected", () => {
+            this._showGenerationParameters(PROVIDER_NAMES[this.parameterProvider.get_selected()][0]);
+        });
+        const activeIndex = PROVIDER_NAMES.findIndex(([provider]) => provider === this.defaultProvider);
+        this.parameterProvider.set_selected(Math.max(activeIndex, 0));
+        this._showGenerationParameters(PROVIDER_NAMES[this.parameterProvider.get_selected()][0]);
+
+        let row = this._nextRow();
+        this.main.attach(labelProvider, 0, row, 1, 1);
+        this.main.attach(this.parameterProvider, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelTemperature, 0, row, 1, 1);
+        this.main.attach(this.temperatureCheck, 2, row, 1, 1);
+        this.main.attach(this.temperature, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelMaxTokens, 0, row, 1, 1);
+        this.main.attach(this.maxTokensCheck, 2, row, 1, 1);
+        this.main.attach(this.maxTokens, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelTopP, 0, row, 1, 1);
+        this.main.attach(this.topPCheck, 2, row, 1, 1);
+        this.main.attach(this.topP, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelStop, 0, row, 1, 1);
+        this.main.attach(stopWindow, 2, row, 1, 1);
+        this.main.attach(stopInfo, 3, row, 1, 1);
+    }
+
+    /**
+     * Keep the parameter fields of the shown provider and fill them in for another one
+     * @param {string} provider - Provider type
+     * @private
+     */
+    _showGenerationParameters(provider) {
+        this._storeGenerationFields();
+        this._shownParameterProvider = provider;
+
+        const parameters = this._generationParameters[provider];
+        this._setOptionalNumber(this.temperatureCheck, this.temperature, parameters.temperature, 1);
+        this._setOptionalNumber(this.maxTokensCheck, this.maxTokens, parameters.maxTokens, 4096);
+        this._setOptionalNumber(this.topPCheck, this.topP, parameters.topP, 1);
+        this.stopSequences.get_buffer().set_text(parameters.stop.join("\n"), -1);
+    }
+
+    /**
+     * Copy the parameter fields into the parameters of the shown provider
+     * @private
+     */
+    _storeGenerationFields() {
+        if (!this._shownParameterProvider) {
+            return;
+        }
+
+        this._generationParameters[this._shownParameterProvider] = {
+            temperature: this._getOptionalNumber(this.temperatureCheck, this.temperature),
+            maxTokens:   this._getOptionalNumber(this.maxTokensCheck, this.maxTokens),
+            topP:        this._getOptionalNumber(this.topPCheck, this.topP),
+            stop:        this._getLines(this.stopSequences).slice(0, GenerationLimits.MAX_STOP),
+        };
+    }
+
+    /**
+     * Create a number field that is only used when its check button is active
+     * @param {number} lower - Lowest accepted value
+     * @param {number} upper - Highest accepted value
+     * @param {number} step - Step of the spin buttons
+     * @param {number} digits - Decimal places shown
+     * @returns {Array} - The check button and the spin button
+     * @private
+     */
+    _createOptionalNumber(lower, upper, step, digits) {
+        const check = new Gtk.CheckButton({ label: _("Custom") });
+        const spin = new Gtk.SpinButton({
+            adjustment: new Gtk.Adjustment({
+                lower:          lower,
+                upper:          upper,
+                step_increment: step,
+                page_increment: step * 5,
+            }),
+            digits:  digits,
+            numeric: true,
+        });
+        check.bind_property("active", spin, "sensitive", GObject.BindingFlags.SYNC_CREATE);
+        return [check, spin];
+    }
+
+    /**
+     * Fill in a field created by _createOptionalNumber
+     * @param {Gtk.CheckButton} check - Check button of the field
+     * @param {Gtk.SpinButton} spin - Spin button of the field
+     * @param {number|null} value - Value, or null if the default is used
+     * @param {number} placeholder - Value shown while the default is used
+     * @private
+     */
+    _setOptionalNumber(check, spin, value, placeholder) {
+        check.set_active(typeof value === "number");
+        spin.set_value(value ?? placeholder);
+    }
+
+    /**
+     * Read a field created by _createOptionalNumber
+     * @param {Gtk.CheckButton} check - Check button of the field
+     * @param {Gtk.SpinButton} spin - Spin button of the field
+     * @returns {number|null} - Value, or null if the default is used
+     * @private
+     */
+    _getOptionalNumber(check, spin) {
+        if (!check.get_active()) {
+            return null;
+        }
+        // Round away the float noise of the spin button's steps
+        const factor = 10 ** spin.get_digits();
+        return Math.round(spin.get_value() * factor) / factor;
+    }
+
+    /**
+     * Create the persona section: a list of personas and the fields of the selected one
+     * @private
+     */
+    _createPersonaSection() {
+        const labelPersona = new Gtk.Label({
+            label:        _("Personas:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Personas give the assistant a system prompt and can use their own provider, model and temperature. Pick one from the chat popup."),
+        });
+
+        this._personaList = new Gtk.StringList();
+        for (const persona of this._personas) {
+            this._personaList.append(persona.name);
+        }
+        this.personaDropDown = new Gtk.DropDown({
+            model:   this._personaList,
+            hexpand: true,
+        });
+
+        const addButton = new Gtk.Button({ label: _("Add") });
+        const deleteButton = new Gtk.Button({ label: _("Delete") });
+        const buttonBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing:     6,
+        });
+        buttonBox.append(addButton);
+        buttonBox.append(deleteButton);
+
+        const labelName = new Gtk.Label({
+            label:        _("Persona Name:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Name shown in the persona picker."),
+        });
+        this.personaName = new Gtk.Entry({
+            buffer: new Gtk.EntryBuffer(),
+            hexpand: true,
+        });
+
+        const labelProvider = new Gtk.Label({
+            label:        _("Persona Provider:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Provider the persona chats with. \"Active provider\" follows the provider chosen above."),
+        });
+        const providerList = new Gtk.StringList();
+        providerList.append(_("Active provider"));
+        for (const [, name] of PROVIDER_NAMES) {
+            providerList.append(_(name));
+        }
+        this.personaProvider = new Gtk.DropDown({
+            model:   providerList,
+            hexpand: true,
+        });
+
+        const labelModel = new Gtk.Label({
+            label:        _("Persona Model:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Model the persona chats with. Leave empty to use the provider's model."),
+        });
+        this.personaModel = new Gtk.Entry({
+            buffer: new Gtk.EntryBuffer(),
+            hexpand: true,
+        });
+        this.personaModel.set_placeholder_text(_("Same as the provider's model"));
+
+        const labelTemperature = new Gtk.Label({
+            label:        _("Persona Temperature:"),
+            halign:       Gtk.Align.START,
+            tooltip_text: _("Higher values give more varied answers. Unchecked uses the provider's default."),
+        });
+        [this.personaTemperatureCheck, this.personaTemperature] = this._createOptionalNumber(0, GenerationLimits.MAX_TEMPERATURE, 0.1, 1);
+
+        const labelPrompt = new Gtk.Label({
+            label:        _("Persona System Prompt:"),
+            halign:       Gtk.Align.START,
+            valign:       Gtk.Align.START,
+            tooltip_text: _("Instructions sent ahead of every conversation with this persona. Tool instructions are added after it."),
+        });
+        const [promptWindow, promptView] = this._createLinesView([]);
+        promptView.monospace = false;
+        promptView.wrap_mode = Gtk.WrapMode.WORD_CHAR;
+        promptWindow.min_content_height = 100;
+        this.personaPrompt = promptView;
+
+        this._personaFields = [
+            labelName, this.personaName, labelProvider, this.personaProvider, labelModel, this.personaModel,
+            labelTemperature, this.personaTemperatureCheck, this.personaTemperature, labelPrompt, promptWindow,
+            deleteButton,
+        ];
+
+        this._shownPersona = null;
+        this.personaDropDown.connect("notify::selected", () => {
+            if (!this._updatingPersonaList) {
+                this._showPersona(this._personas[this.personaDropDown.get_selected()] || null);
+            }
+        });
+        this.personaName.connect("changed", () => this._renamePersona());
+        addButton.connect("clicked", () => this._addPersona());
+        deleteButton.connect("clicked", () => this._deletePersona());
+        this._showPersona(this._personas[0] || null);
+
+        let row = this._nextRow();
+        this.main.attach(labelPersona, 0, row, 1, 1);
+        this.main.attach(this.personaDropDown, 2, row, 1, 1);
+        this.main.attach(buttonBox, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelName, 0, row, 1, 1);
+        this.main.attach(this.personaName, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelProvider, 0, row, 1, 1);
+        this.main.attach(this.personaProvider, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelModel, 0, row, 1, 1);
+        this.main.attach(this.personaModel, 2, row, 2, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelTemperature, 0, row, 1, 1);
+        this.main.attach(this.personaTemperatureCheck, 2, row, 1, 1);
+        this.main.attach(this.personaTemperature, 3, row, 1, 1);
+
+        row = this._nextRow();
+        this.main.attach(labelPrompt, 0, row, 1, 1);
+        this.main.attach(promptWindow, 2, row, 2, 1);
+    }
+
+    /**
+     * Keep the fields of the shown persona and fill them in for another one
+     * @param {object|null} persona - Persona to show, or null to hide the fields
+     * @private
+     */
+    _showPersona(persona) {
+        this._storePersonaFields();
+        this._shownPersona = persona;
+
+        for (const widget of this._personaFields) {
+            widget.visible = persona !== null;
+        }
+        if (!persona) {
+            return;
+        }
+
+        this.personaName.set_text(persona.name);
+        const providerIndex = PROVIDER_NAMES.findIndex(([provider]) => provider === persona.provider);
+        this.personaProvider.set_selected(providerIndex + 1); // 0 is "Active provider"
+        this.personaModel.set_text(persona.model || "");
+        this._setOptionalNumber(this.personaTemperatureCheck, this.personaTemperature, persona.temperature, 1);
+        this.personaPrompt.get_buffer().set_text(persona.systemPrompt || "", -1);
+    }
+
+    /**
+     * Copy the persona fields into the shown persona
+     * @private
+     */
+    _storePersonaFields() {
+        const persona = this._shownPersona;
+        if (!persona) {
+            return;
+        }
+
+        const buffer = this.personaPrompt.get_buffer();
+        const providerIndex = this.personaProvider.get_selected();
+        persona.name = this.personaName.get_buffer().get_text().trim() || _("Unnamed persona");
+        persona.provider = providerIndex > 0 ? PROVIDER_NAMES[providerIndex - 1][0] : "";
+        persona.model = this.personaModel.get_buffer().get_text().trim();
+        persona.temperature = this._getOptionalNumber(this.personaTemperatureCheck, this.personaTemperature);
+        persona.systemPrompt = buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false).trim();
+    }
+
+    /**
+     * Show the edited name in the persona list
+     * @private
+     */
+    _renamePersona() {
+        const index = this._personas.indexOf(this._shownPersona);
+        if (index < 0) {
+            return;
+        }
+
+        this._updatingPersonaList = true;
+        this._personaList.splice(index, 1, [this.personaName.get_buffer().get_text()]);
+        this.personaDropDown.set_selected(index);
+        this._updatingPersonaList = false;
+    }
+
+    /**
+     * Add a persona and select it
+     * @private
+     */
+    _addPersona() {
+        const persona = {
+            id:           GLib.uuid_string_random(),
+            name:         _("New persona"),
+            systemPrompt: "",
+            provider:     "",
+            model:        "",
+            temperature:  null,
+        };
+        this._personas.push(persona);
+
+        this._updatingPersonaList = true;
+        this._personaList.append(persona.name);
+        this.personaDropDown.set_selected(this._personas.length - 1);
+        this._updatingPersonaList = false;
+        this._showPersona(persona);
+    }
+
+    /**
+     * Delete the shown persona and select the one before it
+     * @private
+     */
+    _deletePersona() {
+        const index = this._personas.indexOf(this._shownPersona);
+        if (index < 0) {
+            return;
+        }
+
+        this._personas.splice(index, 1);
+        this._shownPersona = null;
+
+        this._updatingPersonaList = true;
+        this._personaList.remove(index);
+        const selected = Math.max(0, index - 1);
+        this.personaDropDown.set_selected(selected);
+        this._updatingPersonaList = false;
+        this._showPersona(this._personas[selected] || null);
     }
 
     /**
@@ -605,7 +1501,7 @@ class SettingsUI {
             this.defaultHumanColor,
             _("Your Message Background Color:"),
             _("Select the background color for your messages."),
-            16,
+            this._nextRow(),
             (color) => { this.humanColorValue = color; }
         );
 
@@ -614,7 +1510,7 @@ class SettingsUI {
             this.defaultHumanTextColor,
             _("Your Message Text Color:"),
             _("Select the text color for your messages."),
-            17,
+            this._nextRow(),
             (color) => { this.humanTextColorValue = color; }
         );
 
@@ -623,7 +1519,7 @@ class SettingsUI {
             this.defaultLLMColor,
             _("Chatbot Message Background Color:"),
             _("Select the background color for the chatbot's messages."),
-            18,
+            this._nextRow(),
             (color) => { this.llmColorValue = color; }
         );
 
@@ -632,7 +1528,7 @@ class SettingsUI {
             this.defaultLLMTextColor,
             _("Chatbot Message Text Color:"),
             _("Select the text color for the chatbot's messages."),
-            19,
+            this._nextRow(),
             (color) => { this.llmTextColorValue = color; }
         );
     }
@@ -694,9 +1590,10 @@ class SettingsUI {
         });
 
         // Add to grid
-        this.main.attach(labelShortcut, 0, 20, 1, 1);
-        this.main.attach(this.shortcutLabel, 2, 20, 1, 1);
-        this.main.attach(this.shortcutButton, 3, 20, 1, 1);
+        const row = this._nextRow();
+        this.main.attach(labelShortcut, 0, row, 1, 1);
+        this.main.attach(this.shortcutLabel, 2, row, 1, 1);
+        this.main.attach(this.shortcutButton, 3, row, 1, 1);
     }
 
     /**
@@ -717,8 +1614,10 @@ class SettingsUI {
         this.saveButton.connect("clicked", () => this._saveSettings());
 
         // Add to grid
-        this.main.attach(this.saveButton, 2, 21, 1, 1);
-        this.main.attach(this.statusLabel, 0, 22, 4, 1);
+        let row = this._nextRow();
+        this.main.attach(this.saveButton, 2, row, 1, 1);
+        row = this._nextRow();
+        this.main.attach(this.statusLabel, 0, row, 4, 1);
     }
 
     /**
@@ -734,18 +1633,27 @@ class SettingsUI {
             LLMProviders.OPENROUTER,
             LLMProviders.OLLAMA,
             LLMProviders.GROQ,
+            LLMProviders.CUSTOM_OPENAI,
         ];
         const selectedProvider = providerList[this.provider.get_selected()];
 
         // Save provider
         this.schema.set_string(SettingsKeys.LLM_PROVIDER, selectedProvider);
 
-        // Save API keys
-        this.schema.set_string(SettingsKeys.ANTHROPIC_API_KEY, this.anthropicApiKey.get_buffer().get_text());
-        this.schema.set_string(SettingsKeys.OPENAI_API_KEY, this.openaiApiKey.get_buffer().get_text());
-        this.schema.set_string(SettingsKeys.GEMINI_API_KEY, this.geminiApiKey.get_buffer().get_text());
-        this.schema.set_string(SettingsKeys.OPENROUTER_API_KEY, this.openRouterApiKey.get_buffer().get_text());
-        this.schema.set_string(SettingsKeys.GROQ_API_KEY, this.groqApiKey.get_buffer().get_text());
+        // Save API keys to the keyring; until they are loaded the entries are empty
+        if (this._apiKeysLoaded) {
+            for (const [provider, entry] of Object.entries(this._apiKeyEntries)) {
+                const apiKey = entry.get_buffer().get_text().trim();
+                if (apiKey === this._settingsManager.getApiKey(provider)) {
+                    continue;
+                }
+                this._settingsManager.setApiKey(provider, apiKey, (error) => {
+                    if (error) {
+                        this.statusLabel.set_label(_("Could not save the API key in the keyring: ") + error.message);
+                    }
+                });
+            }
+        }
 
         // Save models
         this.schema.set_string(SettingsKeys.ANTHROPIC_MODEL, this.model.get_buffer().get_text());
@@ -754,6 +1662,15 @@ class SettingsUI {
         this.schema.set_string(SettingsKeys.OPENROUTER_MODEL, this.openRouterModel.get_buffer().get_text());
         this.schema.set_string(SettingsKeys.OLLAMA_MODEL, this.ollamaModel.get_buffer().get_text());
         this.schema.set_string(SettingsKeys.GROQ_MODEL, this.groqModel.get_buffer().get_text());
+        this.schema.set_string(SettingsKeys.CUSTOM_OPENAI_MODEL, this.customOpenAIModel.get_buffer().get_text());
+
+        // Save Ollama connection
+        this.schema.set_string(SettingsKeys.OLLAMA_URL, this.ollamaUrl.get_buffer().get_text());
+        this.schema.set_strv(SettingsKeys.OLLAMA_HEADERS, this._getLines(this.ollamaHeaders));
+
+        // Save custom OpenAI-compatible connection
+        this.schema.set_string(SettingsKeys.CUSTOM_OPENAI_BASE_URL, this.customOpenAIBaseUrl.get_buffer().get_text());
+        this.schema.set_strv(SettingsKeys.CUSTOM_OPENAI_HEADERS, this._getLines(this.customOpenAIHeaders));
 
         // Save colors
         this.schema.set_string(SettingsKeys.HUMAN_MESSAGE_COLOR, this.humanColorValue || this.defaultHumanColor);
@@ -766,11 +1683,36 @@ class SettingsUI {
 
         // Save timeout
         this.schema.set_int(SettingsKeys.REQUEST_TIMEOUT, this.timeout.get_value());
+        this.schema.set_strv(SettingsKeys.FALLBACK_PROVIDERS, this._getLines(this.fallbackProviders));
+        this.schema.set_int(SettingsKeys.CONTEXT_LIMIT, this.contextLimit.get_value());
+        const contextStrategy = this.contextStrategy.get_selected() === 1 ? ContextStrategies.SUMMARIZE : ContextStrategies.TRUNCATE;
+        this.schema.set_string(SettingsKeys.CONTEXT_STRATEGY, contextStrategy);
+        this.schema.set_int(SettingsKeys.SUMMARY_THRESHOLD, this.summaryThreshold.get_value());
 
         // Save web search settings
         this.schema.set_boolean(SettingsKeys.ENABLE_WEB_SEARCH, this.webSearchSwitch.get_active());
+        this.schema.set_boolean(SettingsKeys.ENABLE_YOUTUBE_SUMMARY, this.youtubeSummarySwitch.get_active());
+        this.schema.set_strv(SettingsKeys.MCP_SERVERS, this._getLines(this.mcpServers));
         this.schema.set_string(SettingsKeys.SEARXNG_INSTANCE, this.searxngInstance.get_buffer().get_text());
 
+        // Save conversation title settings
+        this.schema.set_boolean(SettingsKeys.ENABLE_AUTO_TITLES, this.autoTitlesSwitch.get_active());
+        this._storeTitleModel();
+        this._settingsManager.setTitleModels(this._titleModels);
+
+        // Save generation parameters
+        this._storeGenerationFields();
+        for (const [provider] of PROVIDER_NAMES) {
+            this._settingsManager.setGenerationParameters(provider, this._generationParameters[provider]);
+        }
+
+        // Save personas; a deleted persona is no longer the active one
+        this._storePersonaFields();
+        this._settingsManager.setPersonas(this._personas);
+        if (!this._settingsManager.getActivePersona()) {
+            this._settingsManager.setActivePersonaId("");
+        }
+
         // Show success message
         this.statusLabel.set_label(_("Preferences saved successfully!"));
         GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 2, () => {